@@ -0,0 +1,57 @@
+// Service worker: keeps the app shell available offline.
+// Schedules and queued bookings live in IndexedDB (see "Offline Store" in App.jsx);
+// Graph and sign-in traffic is never cached here.
+const CACHE = "mm-shell-v1";
+const SHELL = ["/", "/index.html", "/rooms.json", "/manifest.webmanifest", "/icon.svg"];
+
+self.addEventListener("install", event => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, falling back to the cache; successful responses refresh the cache.
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(fallbackUrl || request, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await cache.match(fallbackUrl || request);
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+// Hashed build assets never change, so serve them from the cache once seen.
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const hit   = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    // Teams pages and MSAL redirect targets stay online-only.
+    if (url.pathname.endsWith(".html") && url.pathname !== "/index.html") return;
+    event.respondWith(networkFirst(request, "/index.html"));
+  } else if (url.pathname.startsWith("/assets/")) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
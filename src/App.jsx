@@ -1,55 +1,370 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import { PublicClientApplication } from "@azure/msal-browser";
+import { configureGraph, gFetch, gBatch, toGraphError } from "./graph.js";
 
 // ─── Config ───────────────────────────────────────────────────────────────────
 const CLIENT_ID   = "0c2d3aa6-1e8d-4c4a-a290-9a8590b5597b";
 const TENANT_ID   = "24067079-ff6a-4c4e-a5de-7c5ac7ddf4d8";
 const REDIRECT_URI = "https://mountmeru-rooms.vercel.app";
 const GRAPH_SCOPES = ["Calendars.ReadWrite", "User.Read", "People.Read"];
-const GRAPH_BASE   = "https://graph.microsoft.com/v1.0";
 const BOOKING_TAG  = "MountmeruRoomBooking";
 const AUTO_REFRESH_MS = 60_000; // 60 seconds
 const SETTINGS_KEY    = "mm_room_settings_v3";
+const CATALOG_KEY     = "mm_room_catalog_v2";
+const CATALOG_URL     = "/rooms.json";
+const PLACES_SCOPES   = ["Place.Read.All"];
+const MAIL_SCOPES     = ["Mail.Send"];
+const MAX_OCCURRENCES = 100; // hard cap on a recurring series
+const CHECKIN_KEY     = "mm_checkins_v1";
+const DECLINES_KEY    = "mm_dismissed_declines_v1";
+
+// ?display=<roomId> turns the app into a wall-tablet display for that one room.
+const KIOSK_ROOM = new URLSearchParams(window.location.search).get("display");
 
 // ─── Mount Meru Brand Colors ──────────────────────────────────────────────────
 // Primary: #CC1515 (Red)  |  Secondary: #F7B731 (Yellow)  |  Dark: #231F20
 
-// ─── Room Definitions ─────────────────────────────────────────────────────────
-const ROOMS = [
-  { id: "serengeti", name: "Serengeti", capacity: 7, color: "#C8A96E", accent: "#7A5C10", light: "#FDF3E0", mailbox: "Serengeti@mountmerugroup.com" },
-  { id: "tarangire", name: "Tarangire", capacity: 3, color: "#6BADA0", accent: "#1E6657", light: "#E6F5F2", mailbox: "Tarangire@mountmerugroup.com" },
-  { id: "ruaha",     name: "Ruaha",     capacity: 2, color: "#D47E6A", accent: "#8B3020", light: "#FDEEE9", mailbox: "RUAHA@mountmerugroup.com" },
-];
+// ─── Room Catalog ─────────────────────────────────────────────────────────────
+// Rooms come from public/rooms.json (shared with teams-config.html), optionally
+// merged with Graph room discovery. Each room:
+// { id, name, description, capacity, building, floor, color, accent, light, mailbox, display,
+//   requiresApproval, approvers, policy, amenities }
+// display: true when a wall tablet (?display=<id>) handles check-in for the room.
+// amenities: equipment keys from AMENITIES; the filter chips and room finder match on them.
+// requiresApproval: bookings are tentative holds until one of `approvers` (room-level,
+// else the catalog's "approvers") approves — see Approvals.
+// policy: per-room overrides of the catalog's booking policy — see Booking Policy.
+const ROOM_PALETTE = ["#C8A96E", "#6BADA0", "#D47E6A", "#8E9BC7", "#B58DB6", "#7FA35B"];
+
+// key → { label, icon }, in display order.
+const AMENITIES = {
+  screen:     { label: "Display",    icon: "🖥" },
+  vc:         { label: "VC kit",     icon: "🎥" },
+  whiteboard: { label: "Whiteboard", icon: "🖍" },
+  accessible: { label: "Accessible", icon: "♿" },
+  phone:      { label: "Phone",      icon: "📞" },
+};
+
+// Known keys only, in AMENITIES order.
+function normalizeAmenities(list) {
+  const keys = new Set(Array.isArray(list) ? list : []);
+  return Object.keys(AMENITIES).filter(k => keys.has(k));
+}
+
+// True when the room has every amenity in `required`.
+function hasAmenities(room, required) {
+  return !required?.length || required.every(k => room.amenities.includes(k));
+}
+
+// Mix a #rrggbb colour towards white (amount > 0) or black (amount < 0).
+function shadeColor(hex, amount) {
+  const n = parseInt(hex.slice(1), 16);
+  const target = amount > 0 ? 255 : 0;
+  const mix = c => Math.round(c + (target - c) * Math.abs(amount));
+  return "#" + [n >> 16, (n >> 8) & 255, n & 255].map(c => mix(c).toString(16).padStart(2, "0")).join("");
+}
 
-// ─── Time Slots (8 AM – 5:30 PM, 30-min intervals) ───────────────────────────
-const HOURS = Array.from({ length: 26 }, (_, i) => {
-  const totalMins = 8 * 60 + i * 30;
-  const h = Math.floor(totalMins / 60);
-  const m = totalMins % 60;
+function normalizeRoom(room, i) {
+  const color = /^#[0-9a-f]{6}$/i.test(room.color || "") ? room.color : ROOM_PALETTE[i % ROOM_PALETTE.length];
   return {
-    value: `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`,
-    label: m === 0
-      ? (h < 12 ? `${h} AM` : h === 12 ? "12 PM" : `${h - 12} PM`)
-      : (h < 12 ? `${h}:30 AM` : h === 12 ? "12:30 PM" : `${h - 12}:30 PM`),
+    ...room,
+    id:       room.id || room.name.toLowerCase().replace(/[^a-z0-9]+/g, "-"),
+    capacity: Number(room.capacity) || 0,
+    mailbox:  room.mailbox || "",
+    timeZone: isValidZone(room.timeZone) ? room.timeZone : browserZone(),
+    ...normalizeApproval(room),
+    policy:   normalizePolicy(room.policy),
+    amenities: normalizeAmenities(room.amenities),
+    color,
+    accent:   room.accent || shadeColor(color, -0.45),
+    light:    room.light  || shadeColor(color, 0.85),
   };
-});
+}
+
+// Graph rooms fill gaps in matching catalog entries (by mailbox); unlisted ones are appended.
+function mergeCatalog(listed, discovered) {
+  const byMailbox = new Map(discovered.map(r => [r.mailbox.toLowerCase(), r]));
+  const merged = listed.map(r => {
+    const g = byMailbox.get((r.mailbox || "").toLowerCase());
+    if (!g) return r;
+    byMailbox.delete(r.mailbox.toLowerCase());
+    return { ...g, ...Object.fromEntries(Object.entries(r).filter(([, v]) => v !== "" && v != null && !(Array.isArray(v) && !v.length))) };
+  });
+  return [...merged, ...byMailbox.values()].map(normalizeRoom);
+}
+
+// Catalog shape in state and cache: { rooms, hours, capacityPolicy, checkIn, policy, facilities, discoverFromGraph }
+// capacityPolicy: "warn" lets over-capacity bookings through with a warning, "block" refuses them.
+// checkIn: { enabled, graceMinutes } — see Check-in & No-show Release.
+// policy: booking limits and blackout dates — see Booking Policy.
+// facilities: { mailbox, catering, layouts } — see Facilities Services.
+// Rooms carry a timeZone (their own, the catalog's "timeZone", or the browser's) — see Dates & Time Zones.
+function loadCachedCatalog() {
+  try {
+    const raw = localStorage.getItem(CATALOG_KEY);
+    if (raw) {
+      const cached = JSON.parse(raw);
+      return {
+        ...cached,
+        rooms:      (cached.rooms || []).map(r => ({ ...r, amenities: normalizeAmenities(r.amenities) })),
+        hours:      normalizeHours(cached.hours, (cached.rooms || []).map(r => r.hours)),
+        checkIn:    normalizeCheckIn(cached.checkIn),
+        policy:     normalizePolicy(cached.policy),
+        facilities: normalizeFacilities(cached.facilities),
+      };
+    }
+  } catch { /* ignore */ }
+  return { rooms: [], hours: normalizeHours(), capacityPolicy: "warn", checkIn: normalizeCheckIn(), policy: normalizePolicy(), facilities: normalizeFacilities(), discoverFromGraph: false };
+}
+
+function persistCatalog(catalog) {
+  try { localStorage.setItem(CATALOG_KEY, JSON.stringify(catalog)); } catch { /* ignore */ }
+}
+
+async function fetchRoomCatalog() {
+  const res = await fetch(CATALOG_URL, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`Room catalog ${res.status}`);
+  const data  = await res.json();
+  // A catalog-wide "timeZone" applies to every room that doesn't name its own.
+  const rooms = (data.rooms || []).map((r, i) => normalizeRoom({ timeZone: data.timeZone, approvers: data.approvers, ...r }, i));
+  return {
+    rooms,
+    hours:             normalizeHours(data.hours, rooms.map(r => r.hours)),
+    capacityPolicy:    data.capacityPolicy === "block" ? "block" : "warn",
+    checkIn:           normalizeCheckIn(data.checkIn),
+    policy:            normalizePolicy(data.policy),
+    facilities:        normalizeFacilities(data.facilities),
+    discoverFromGraph: !!data.discoverFromGraph,
+  };
+}
+
+function roomLocation(room) {
+  return [room.building, room.floor && `Floor ${room.floor}`].filter(Boolean).join(" · ");
+}
+
+// People in the meeting: the organizer plus every distinct invitee.
+function countHeadcount(organizerEmail, emails) {
+  const me = (organizerEmail || "").toLowerCase();
+  return 1 + new Set(emails.map(e => e.toLowerCase()).filter(e => e !== me)).size;
+}
+
+// Settings override a room's catalog mailbox; an empty override means "own calendar only".
+function roomMailbox(room, settings) {
+  return settings.roomEmails?.[room.id] ?? room.mailbox ?? "";
+}
+
+// ─── Business Hours & Time Slots ──────────────────────────────────────────────
+// The catalog's "hours" block (and an optional per-room "hours" override) decides
+// when rooms can be booked:
+// { open: "07:30", close: "19:00", slotMinutes: 15|30|60,
+//   days: { saturday: null /* closed */, friday: { close: "17:00" } } }
+const DEFAULT_HOURS = { open: "08:00", close: "18:00", slotMinutes: 30, days: {} };
+const SLOT_SIZES    = [15, 30, 60];
+
+const toMins   = hhmm => +hhmm.slice(0, 2) * 60 + +hhmm.slice(3, 5);
+const fromMins = mins => `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+
+function timeLabel(hhmm) {
+  if (!hhmm) return "";
+  const mins = toMins(hhmm) % (24 * 60);
+  const h = Math.floor(mins / 60), m = mins % 60;
+  const h12 = h % 12 || 12;
+  return `${h12}${m ? ":" + String(m).padStart(2, "0") : ""} ${h < 12 ? "AM" : "PM"}`;
+}
+
+// Slots start on multiples of slotMinutes, so a size that doesn't divide every
+// opening and closing time (e.g. 60 with "07:30") is cut to the largest one that does.
+// roomHours: the rooms' own "hours" overrides.
+function normalizeHours(hours, roomHours = []) {
+  const wanted = SLOT_SIZES.includes(+hours?.slotMinutes) ? +hours.slotMinutes : DEFAULT_HOURS.slotMinutes;
+  const out    = { ...DEFAULT_HOURS, ...hours, days: { ...(hours?.days || {}) } };
+  const times  = [out, ...roomHours].filter(Boolean)
+    .flatMap(h => [h, ...Object.values(h.days || {})]).filter(Boolean)
+    .flatMap(w => [w.open, w.close]).filter(t => /^\d\d:\d\d$/.test(t || ""));
+  const slotMinutes = [...SLOT_SIZES].reverse().find(size => size <= wanted && times.every(t => toMins(t) % size === 0))
+    ?? SLOT_SIZES[0];
+  return { ...out, slotMinutes };
+}
+
+// Opening hours for one room on one date in the room's own zone, or null when
+// the room is closed that day.
+function roomLocalHours(hours, room, date) {
+  const own  = room?.hours || {};
+  const days = { ...hours.days, ...(own.days || {}) };
+  const wd   = weekdayOf(date);
+  if (wd in days && !days[wd]) return null;
+  return { open: own.open || hours.open, close: own.close || hours.close, ...(days[wd] || {}) };
+}
+
+// The same, as display-zone times. Hours pushed past either midnight by the zone
+// difference are cut at that day's edge.
+function roomHoursOn(hours, room, date) {
+  const local = roomLocalHours(hours, room, date);
+  const shift = local && zoneShift(date, room?.timeZone);
+  if (!shift) return local;
+  const clamp = hhmm => fromMins(Math.min(Math.max(toMins(hhmm) + shift, 0), 24 * 60));
+  const open  = clamp(local.open), close = clamp(local.close);
+  return open < close ? { open, close } : null;
+}
+
+// Slots of `step` minutes covering [first, last) minutes, aligned to the step.
+function slotRange(first, last, step) {
+  const slots = [];
+  for (let m = Math.floor(first / step) * step; m < last; m += step) {
+    slots.push({ value: fromMins(m), end: fromMins(m + step), label: timeLabel(fromMins(m)) });
+  }
+  return slots;
+}
+
+// Every slot start (plus its end) the grid can show: the widest window any
+// room is open on any day, in display zone `tz` as of `date`, stepped by the
+// configured slot size.
+function buildTimeSlots(hours, rooms, date, tz) {
+  const zoned = (windows, room) => windows.filter(Boolean).map(w => ({ ...w, shift: zoneShift(date, room?.timeZone, tz) }));
+  const windows = [
+    ...(rooms.length ? rooms : [null]).flatMap(r => zoned([hours, ...Object.values(hours.days)], r)),
+    ...rooms.flatMap(r => zoned([r.hours, ...Object.values(r.hours?.days || {})], r)),
+  ];
+  const open  = Math.max(Math.min(...windows.filter(w => w.open).map(w => toMins(w.open) + w.shift)), 0);
+  const close = Math.min(Math.max(...windows.filter(w => w.close).map(w => toMins(w.close) + w.shift)), 24 * 60);
+  return slotRange(open, close, hours.slotMinutes);
+}
+
+function isWithinHours(hours, room, date, startHour, endHour) {
+  const h = roomHoursOn(hours, room, date);
+  return !!h && startHour >= h.open && endHour <= h.close;
+}
+
+// ─── Dates & Time Zones ───────────────────────────────────────────────────────
+// Dates ("YYYY-MM-DD") and times ("HH:MM") on screen are wall-clock values in the
+// display time zone, which is also the zone Graph reports events in. Rooms keep
+// their opening hours in their own zone (room.timeZone). Date arithmetic runs on
+// UTC calendar dates, so it can't slip a day around midnight or DST.
+const browserZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+function isValidZone(tz) {
+  if (!tz) return false;
+  try { new Intl.DateTimeFormat("en-US", { timeZone: tz }); return true; } catch { return false; }
+}
+
+let _displayZone = browserZone();
+function setDisplayZone(tz) {
+  _displayZone = isValidZone(tz) ? tz : browserZone();
+}
+
+function getTimezone() {
+  return _displayZone;
+}
+
+// Wall-clock date and time of the instant `at` in `tz`: { date, time: "HH:MM", mins }.
+const _zoneFormats = new Map();
+function wallClock(at = new Date(), tz = getTimezone()) {
+  if (!_zoneFormats.has(tz)) _zoneFormats.set(tz, new Intl.DateTimeFormat("en-CA", {
+    timeZone: tz, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+  }));
+  const p    = Object.fromEntries(_zoneFormats.get(tz).formatToParts(at).map(x => [x.type, x.value]));
+  const time = `${p.hour}:${p.minute}`;
+  return { date: `${p.year}-${p.month}-${p.day}`, time, mins: toMins(time) };
+}
+
+// Minutes `tz` is ahead of UTC at the instant `at`.
+function zoneOffset(at, tz) {
+  const { date, mins } = wallClock(at, tz);
+  return Math.round((Date.parse(`${date}T00:00:00Z`) + mins * 60_000 - at.getTime()) / 60_000);
+}
+
+// Minutes to add to a wall-clock time in `fromTz` to read the same moment in `toTz`,
+// taken at midday on `date` (clock changes happen at night).
+function zoneShift(date, fromTz, toTz = getTimezone()) {
+  if (!fromTz || fromTz === toTz) return 0;
+  const at = new Date(`${date}T12:00:00Z`);
+  return zoneOffset(at, toTz) - zoneOffset(at, fromTz);
+}
+
+// The instant a wall-clock date and time ("24:00" allowed) in `tz` names. The second
+// pass settles times near a clock change.
+function zonedInstant(date, hhmm, tz = getTimezone()) {
+  const wall = Date.parse(`${date}T00:00:00Z`) + toMins(hhmm) * 60_000;
+  let at = wall - zoneOffset(new Date(wall), tz) * 60_000;
+  at = wall - zoneOffset(new Date(at), tz) * 60_000;
+  return new Date(at);
+}
+
+// "Nairobi (GMT+3)"
+function zoneLabel(tz) {
+  const abbr = new Intl.DateTimeFormat("en-US", { timeZone: tz, timeZoneName: "short" })
+    .formatToParts(new Date()).find(p => p.type === "timeZoneName")?.value;
+  return `${tz.split("/").pop().replace(/_/g, " ")}${abbr ? ` (${abbr})` : ""}`;
+}
+
+const todayStr = () => wallClock().date;
+
+function isPastSlot(date, hourValue) {
+  const now = wallClock();
+  return `${date}T${hourValue}` < `${now.date}T${now.time}`;
+}
 
 // ─── Utilities ────────────────────────────────────────────────────────────────
-const todayStr    = () => new Date().toISOString().split("T")[0];
 const isValidEmail = e => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e.trim());
 
-function isPastSlot(date, hourValue) {
-  return new Date(`${date}T${hourValue}:00`) < new Date();
+// A day's bookings: { roomId: { key: booking } }. Bookings carry minute-accurate
+// startHour / endHour ("HH:MM", ending at "24:00" when they run past midnight).
+function emptyDay(rooms) {
+  return Object.fromEntries(rooms.map(r => [r.id, {}]));
 }
 
-function initSlots() {
-  return Object.fromEntries(
-    ROOMS.map(r => [r.id, Object.fromEntries(HOURS.map(h => [h.value, null]))])
-  );
+// The handle a booking is viewed, edited, checked in and cancelled by.
+const bookingKey = info => info.outlookEventId || `local:${info.startHour}-${info.endHour}`;
+
+function placeBooking(roomBookings, info) {
+  const key = bookingKey(info);
+  roomBookings[key] = { ...info, key };
+  return roomBookings;
 }
 
-function getTimezone() {
-  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const overlaps = (b, startHour, endHour) => b.startHour < endHour && b.endHour > startHour;
+
+// Dates within [from, to] that an event covers; one ending at midnight stops the day before.
+function eventDates(evt, from, to) {
+  const start = evt?.start?.dateTime || "";
+  const end   = evt?.end?.dateTime || start;
+  if (!start) return [];
+  let last = end.slice(0, 10);
+  if (last > start.slice(0, 10) && end.slice(11, 16) === "00:00") last = addDays(last, -1);
+  const first = start.slice(0, 10) > from ? start.slice(0, 10) : from;
+  if (last > to) last = to;
+  return first <= last ? dateRange(first, last) : [];
+}
+
+// Local HH:MM start/end of a calendar event on `date`, clipped to that day: a
+// multi-day event starts at "00:00" on the days after its first and ends at
+// "24:00" on the days before its last. allDay covers the whole of `date`.
+function eventHoursOn(evt, date) {
+  const start     = evt.start?.dateTime || "";
+  const end       = evt.end?.dateTime || "";
+  const startHour = start.slice(0, 10) < date ? "00:00" : start.slice(11, 16);
+  const endHour   = end.slice(0, 10) > date ? "24:00" : end.slice(11, 16);
+  return { startHour, endHour, allDay: !!evt.isAllDay || (startHour === "00:00" && endHour === "24:00") };
+}
+
+// Side-by-side lanes for overlapping bookings. Each cluster of overlaps shares
+// one lane count, so neighbours line up. Result: Map(booking → { lane, lanes }).
+function layoutLanes(bookings) {
+  const out    = new Map();
+  const sorted = [...bookings].sort((a, b) => a.startHour.localeCompare(b.startHour) || b.endHour.localeCompare(a.endHour));
+  let cluster = [], laneEnds = [], clusterEnd = "";
+  const flush = () => { cluster.forEach(b => { out.get(b).lanes = laneEnds.length; }); cluster = []; laneEnds = []; };
+  sorted.forEach(b => {
+    if (cluster.length && b.startHour >= clusterEnd) flush();
+    let lane = laneEnds.findIndex(end => end <= b.startHour);
+    if (lane < 0) lane = laneEnds.length;
+    laneEnds[lane] = b.endHour;
+    out.set(b, { lane, lanes: 1 });
+    cluster.push(b);
+    clusterEnd = cluster.length === 1 || b.endHour > clusterEnd ? b.endHour : clusterEnd;
+  });
+  flush();
+  return out;
 }
 
 function formatDate(d) {
@@ -65,9 +380,110 @@ function formatShortDate(d) {
 }
 
 function addDays(dateStr, n) {
-  const d = new Date(dateStr + "T12:00:00");
-  d.setDate(d.getDate() + n);
-  return d.toISOString().split("T")[0];
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Monday-first list of the dates in `dateStr`'s week (Mon–Fri, or Mon–Sun).
+function weekDates(dateStr, withWeekends) {
+  const monday = addDays(dateStr, -((new Date(`${dateStr}T00:00:00Z`).getUTCDay() + 6) % 7));
+  return Array.from({ length: withWeekends ? 7 : 5 }, (_, i) => addDays(monday, i));
+}
+
+function dateRange(start, end) {
+  const out = [];
+  for (let d = start; d <= end; d = addDays(d, 1)) out.push(d);
+  return out;
+}
+
+const escapeHtml = t => String(t).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// RFC 4180 CSV; fields with commas, quotes or line breaks are quoted.
+function toCsv(rows) {
+  const field = v => {
+    const t = v == null ? "" : String(v);
+    return /[",\r\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+  };
+  return rows.map(r => r.map(field).join(",")).join("\r\n");
+}
+
+function downloadFile(filename, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a   = Object.assign(document.createElement("a"), { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// The byte-order mark makes Excel read the file as UTF-8.
+const downloadCsv = (filename, rows) => downloadFile(filename, "text/csv;charset=utf-8", "\uFEFF" + toCsv(rows));
+
+// ─── Recurrence ───────────────────────────────────────────────────────────────
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const WEEKDAY_LABELS = { monday: "Mo", tuesday: "Tu", wednesday: "We", thursday: "Th", friday: "Fr", saturday: "Sa", sunday: "Su" };
+
+function weekdayOf(dateStr) {
+  return WEEKDAYS[new Date(`${dateStr}T00:00:00Z`).getUTCDay()];
+}
+
+function defaultRecurrence(date) {
+  return { pattern: "none", interval: 1, daysOfWeek: [weekdayOf(date)], endType: "count", endDate: addDays(date, 28), count: 10 };
+}
+
+// Form recurrence → Graph patternedRecurrence. Returns null for single bookings.
+function buildRecurrence(rec, date) {
+  if (!rec || rec.pattern === "none") return null;
+  const pattern = { type: rec.pattern === "monthly" ? "absoluteMonthly" : rec.pattern, interval: Math.max(1, +rec.interval || 1) };
+  if (rec.pattern === "weekly")  { pattern.daysOfWeek = rec.daysOfWeek; pattern.firstDayOfWeek = "monday"; }
+  if (rec.pattern === "monthly") pattern.dayOfMonth = +date.slice(8, 10);
+  const range = rec.endType === "date"
+    ? { type: "endDate",  startDate: date, endDate: rec.endDate }
+    : { type: "numbered", startDate: date, numberOfOccurrences: +rec.count };
+  return { pattern, range: { ...range, recurrenceTimeZone: getTimezone() } };
+}
+
+// Expand a form recurrence into the occurrence dates Exchange will create.
+// Stops one past MAX_OCCURRENCES so callers can detect an oversized series.
+function expandOccurrences(rec, date) {
+  if (!rec || rec.pattern === "none") return [date];
+  const interval = Math.max(1, +rec.interval || 1);
+  const limit    = rec.endType === "count" ? Math.min(+rec.count || 0, MAX_OCCURRENCES + 1) : MAX_OCCURRENCES + 1;
+  const inRange  = d => rec.endType !== "date" || d <= rec.endDate;
+  const out = [];
+  for (let step = 0; out.length < limit && step < 1000; step++) {
+    if (rec.pattern === "daily") {
+      const d = addDays(date, step * interval);
+      if (!inRange(d)) break;
+      out.push(d);
+    } else if (rec.pattern === "weekly") {
+      const monday = addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+      const week   = addDays(monday, step * interval * 7);
+      if (!inRange(week)) break;
+      for (let i = 0; i < 7 && out.length < limit; i++) {
+        const d = addDays(week, i);
+        if (d >= date && inRange(d) && rec.daysOfWeek.includes(weekdayOf(d))) out.push(d);
+      }
+    } else if (rec.pattern === "monthly") {
+      const [y, m, day] = date.split("-").map(Number);
+      const target = new Date(Date.UTC(y, m - 1 + step * interval, day));
+      if (target.getUTCDate() !== day) continue; // month has no such day — Exchange skips it
+      const d = target.toISOString().slice(0, 10);
+      if (!inRange(d)) break;
+      out.push(d);
+    } else break;
+  }
+  return out;
+}
+
+function describeRecurrence(rec) {
+  if (!rec || rec.pattern === "none") return "";
+  const n    = Math.max(1, +rec.interval || 1);
+  const unit = { daily: "day", weekly: "week", monthly: "month" }[rec.pattern];
+  let text   = n === 1 ? `Every ${unit}` : `Every ${n} ${unit}s`;
+  if (rec.pattern === "weekly") text += " on " + rec.daysOfWeek.map(d => WEEKDAY_LABELS[d]).join(", ");
+  return text + (rec.endType === "date" ? ` until ${formatShortDate(rec.endDate)}` : `, ${rec.count} times`);
 }
 
 function loadSettings() {
@@ -75,14 +491,18 @@ function loadSettings() {
     const raw = localStorage.getItem(SETTINGS_KEY);
     if (raw) return JSON.parse(raw);
   } catch {}
-  // Default to the ROOMS mailbox values so doSync works without manual setup.
-  return { roomEmails: Object.fromEntries(ROOMS.map(r => [r.id, r.mailbox || ""])) };
+  // No overrides: every room uses its catalog mailbox, so doSync works without manual setup.
+  return { roomEmails: {} };
 }
 
 function persistSettings(s) {
   try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(s)); } catch {}
 }
 
+// settings.timeZone: the display zone; empty means the browser's.
+// settings.amenities: amenity keys the grid and room finder are filtered to.
+setDisplayZone(loadSettings().timeZone);
+
 // ─── Teams Detection ──────────────────────────────────────────────────────────
 function isInTeams() {
   try {
@@ -143,9 +563,10 @@ async function getMsal() {
   return _msal;
 }
 
-async function getToken() {
+// forceRefresh: the last token was rejected (401), so skip any cached one.
+async function getToken({ forceRefresh = false } = {}) {
   if (isInTeams()) {
-    if (_teamsToken && Date.now() < _teamsTokenExpiry - 300_000) return _teamsToken;
+    if (!forceRefresh && _teamsToken && Date.now() < _teamsTokenExpiry - 300_000) return _teamsToken;
     _teamsToken = await teamsAuthenticate();
     _teamsTokenExpiry = Date.now() + 3_600_000;
     return _teamsToken;
@@ -153,32 +574,53 @@ async function getToken() {
   const msal = await getMsal();
   const accounts = msal.getAllAccounts();
   if (!accounts.length) {
+    if (KIOSK_ROOM) throw new Error("Display is not signed in");
     // No cached session — start login redirect (works on mobile; page navigates away).
     await msal.loginRedirect({ scopes: GRAPH_SCOPES });
     return null;
   }
   try {
-    const r = await msal.acquireTokenSilent({ scopes: GRAPH_SCOPES, account: accounts[0] });
+    const r = await msal.acquireTokenSilent({ scopes: GRAPH_SCOPES, account: accounts[0], forceRefresh });
     return r.accessToken;
   } catch {
+    // Nobody is there to finish a redirect on a wall display. Fall back to the
+    // browser's Microsoft session; if that fails too, the next refresh retries.
+    if (KIOSK_ROOM) {
+      const r = await msal.ssoSilent({ scopes: GRAPH_SCOPES, loginHint: accounts[0].username });
+      return r.accessToken;
+    }
     await msal.acquireTokenRedirect({ scopes: GRAPH_SCOPES, account: accounts[0] });
     return null;
   }
 }
 
-async function gFetch(path, opts = {}) {
-  const token = await getToken();
-  const res = await fetch(`${GRAPH_BASE}${path}`, {
-    ...opts,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      ...(opts.headers || {}),
-    },
-  });
-  if (!res.ok) throw new Error(`Graph ${res.status}: ${await res.text()}`);
-  if (res.status === 204) return null;
-  return res.json();
+configureGraph({ getToken });
+
+// ─── Room Discovery ───────────────────────────────────────────────────────────
+// Place.Read.All needs admin consent, so discovery only ever asks silently and the
+// caller treats any failure as "no discovered rooms". Not available inside Teams.
+async function discoverGraphRooms() {
+  if (isInTeams()) return [];
+  const msal    = await getMsal();
+  const account = msal.getAllAccounts()[0];
+  if (!account) return [];
+  const { accessToken } = await msal.acquireTokenSilent({ scopes: PLACES_SCOPES, account });
+  const data = await gFetch("/places/microsoft.graph.room?$top=100", { token: accessToken });
+  return (data?.value || [])
+    .filter(p => p.emailAddress)
+    .map(p => ({
+      name:     p.displayName,
+      capacity: p.capacity,
+      mailbox:  p.emailAddress,
+      building: p.building || "",
+      floor:    p.floorLabel || (p.floorNumber != null ? String(p.floorNumber) : ""),
+      amenities: [
+        p.displayDeviceName && "screen",
+        p.videoDeviceName && "vc",
+        p.isWheelChairAccessible && "accessible",
+        p.audioDeviceName && "phone",
+      ].filter(Boolean),
+    }));
 }
 
 // ─── People Search ────────────────────────────────────────────────────────────
@@ -203,8 +645,17 @@ async function searchPeople(query) {
 }
 
 // ─── Calendar: Create Event ───────────────────────────────────────────────────
-async function createOutlookEvent({ roomName, roomEmail, bookerName, bookerEmail, emailList, date, startHour, endHour, meetingTitle }) {
-  const tz = getTimezone();
+// Event payload shared by create and edit; the room mailbox is always an attendee.
+// timeZone: the zone date/startHour/endHour are in (defaults to the display zone).
+// approvers: set for rooms that need approval — the booking goes out as a tentative
+// hold with the approvers invited as optional attendees.
+// online: make it a Teams meeting. Once on, Outlook keeps it on whatever later edits send.
+// services: catering and setup for facilities — see Facilities Services.
+// facilitiesEmail: invited as a resource whenever services are asked for.
+const TEAMS_SMALL_ROOM = 4; // rooms this size or smaller default to a Teams meeting
+
+function buildEventBody({ roomName, roomEmail, bookerName, bookerEmail, emailList, date, startHour, endHour, meetingTitle, timeZone, approvers = [], online = false, services = null, facilitiesEmail = "" }) {
+  const tz = timeZone || getTimezone();
   const attendees = emailList.filter(isValidEmail).map(e => ({
     emailAddress: { address: e.trim() }, type: "required",
   }));
@@ -216,112 +667,427 @@ async function createOutlookEvent({ roomName, roomEmail, bookerName, bookerEmail
   if (roomEmail && isValidEmail(roomEmail)) {
     attendees.push({ emailAddress: { address: roomEmail }, type: "required" });
   }
+  approvers.forEach(address => attendees.push({ emailAddress: { address }, type: "optional" }));
+  const invited = attendees.length;
+  if (facilitiesEmail && isValidEmail(facilitiesEmail) && normalizeServices(services)) {
+    attendees.push({ emailAddress: { address: facilitiesEmail }, type: "resource" });
+  }
+  return {
+    subject: meetingTitle || `[${roomName}] ${bookerName}`,
+    body: {
+      contentType: "HTML",
+      content: `<p>Room: <strong>${roomName}</strong></p><p>Booked by: ${bookerName}</p><p>Attendees: ${invited}</p>`
+        + (approvers.length ? `<p>Awaiting approval from: ${approvers.join(", ")}</p>` : "")
+        + servicesTagHtml(normalizeServices(services))
+        + `<p style="display:none">${BOOKING_TAG}</p>`,
+    },
+    showAs: approvers.length ? "tentative" : "busy",
+    ...(online ? { isOnlineMeeting: true, onlineMeetingProvider: "teamsForBusiness" } : {}),
+    start: { dateTime: `${date}T${startHour}:00`, timeZone: tz },
+    end:   { dateTime: `${date}T${endHour}:00`,   timeZone: tz },
+    location: { displayName: `${roomName} — Mountmeru` },
+    attendees,
+  };
+}
+
+async function createOutlookEvent({ recurrence, ...details }) {
   return gFetch("/me/events", {
     method: "POST",
     body: JSON.stringify({
-      subject: meetingTitle || `[${roomName}] ${bookerName}`,
-      body: {
-        contentType: "HTML",
-        content: `<p>Room: <strong>${roomName}</strong></p><p>Booked by: ${bookerName}</p><p>Attendees: ${attendees.length}</p><p style="display:none">${BOOKING_TAG}</p>`,
-      },
-      start: { dateTime: `${date}T${startHour}:00`, timeZone: tz },
-      end:   { dateTime: `${date}T${endHour}:00`,   timeZone: tz },
-      location: { displayName: `${roomName} — Mountmeru` },
-      attendees,
+      ...buildEventBody(details),
       responseRequested: true,
+      ...(recurrence ? { recurrence } : {}),
     }),
   });
 }
 
+// PATCH in place so attendees get an update rather than a cancel + new invite.
+// Replacing the attendee list swaps the room mailbox when the room changes.
+// Teams meetings keep their body: Teams wrote the join details into it, so a
+// services change is spliced in. Callers that leave `services` out keep the event's.
+async function updateOutlookEvent(id, details) {
+  const { body, ...event } = buildEventBody(details);
+  const keep = details.services === undefined;
+  if (details.online ? !keep : keep) {
+    const current = (await gFetch(`/me/events/${id}?$select=body`))?.body?.content || "";
+    event.body = details.online
+      ? { contentType: "HTML", content: withServicesTag(current, details.services) }
+      : { ...body, content: withServicesTag(body.content, servicesFromHtml(current)) };
+  } else if (!details.online) {
+    event.body = body;
+  }
+  return gFetch(`/me/events/${id}`, {
+    method: "PATCH",
+    body: JSON.stringify(event),
+  });
+}
+
+// Teams is the default when anyone invited is outside the organizer's domain, or
+// the room is too small for everyone to be there in person.
+const emailDomain = e => (e.split("@")[1] || "").toLowerCase();
+const hasExternal = (organizerEmail, emails) =>
+  !!emailDomain(organizerEmail) && emails.some(e => emailDomain(e) !== emailDomain(organizerEmail));
+
+function suggestsOnline(room, organizerEmail, emails) {
+  return hasExternal(organizerEmail, emails) || (room.capacity > 0 && room.capacity <= TEAMS_SMALL_ROOM);
+}
+
 async function deleteOutlookEvent(id) {
   return gFetch(`/me/events/${id}`, { method: "DELETE" });
 }
 
-// Fetch bookings from the signed-in user's own calendar (fallback / pending-acceptance)
-async function fetchOwnCalendar(date) {
-  const tz = getTimezone();
-  const s = encodeURIComponent(`${date}T00:00:00`);
-  const e = encodeURIComponent(`${date}T23:59:59`);
+// Decline for the room itself (a display signed in as, or delegated for, the room
+// mailbox). Exchange frees the slot and the organizer gets the comment.
+async function declineRoomEvent(mailbox, id, comment) {
+  return gFetch(`/users/${encodeURIComponent(mailbox)}/events/${id}/decline`, {
+    method: "POST",
+    body: JSON.stringify({ comment, sendResponse: true }),
+  });
+}
+
+// ─── Calendar: Recurring Series ───────────────────────────────────────────────
+// Room-calendar bookings carry the room mailbox's own series id, which means
+// nothing in the organizer's calendar. Match the two masters by iCalUId.
+async function resolveOwnSeriesMaster(booking) {
+  if (!booking.mailbox) return booking.seriesMasterId;
+  const roomMaster = await gFetch(
+    `/users/${encodeURIComponent(booking.mailbox)}/events/${booking.seriesMasterId}?$select=iCalUId`
+  );
   const data = await gFetch(
-    `/me/calendarView?startDateTime=${s}&endDateTime=${e}&$select=id,subject,start,end,organizer,body,location&$top=50&$orderby=start/dateTime`,
-    { headers: { Prefer: `outlook.timezone="${tz}"` } }
+    `/me/events?$filter=iCalUId eq '${roomMaster.iCalUId}'&$select=id,type`
+  );
+  const own = (data?.value || []).find(e => e.type === "seriesMaster");
+  if (!own) throw new Error("Series not found in your calendar");
+  return own.id;
+}
+
+// scope: "occurrence" | "following" | "series"
+async function cancelSeriesEvent(booking, date, scope) {
+  const masterId = await resolveOwnSeriesMaster(booking);
+  if (scope === "series") return deleteOutlookEvent(masterId);
+
+  if (scope === "following") {
+    const master = await gFetch(`/me/events/${masterId}?$select=recurrence`);
+    const range  = master?.recurrence?.range;
+    if (!range || date <= range.startDate) return deleteOutlookEvent(masterId);
+    // Trim the series so its last occurrence is the day before `date`.
+    return gFetch(`/me/events/${masterId}`, {
+      method: "PATCH",
+      body: JSON.stringify({
+        recurrence: {
+          ...master.recurrence,
+          range: { type: "endDate", startDate: range.startDate, endDate: addDays(date, -1), recurrenceTimeZone: range.recurrenceTimeZone },
+        },
+      }),
+    });
+  }
+
+  return deleteOutlookEvent(await findOccurrenceId(masterId, date));
+}
+
+async function findOccurrenceId(masterId, date) {
+  const s    = encodeURIComponent(`${date}T00:00:00`);
+  const e    = encodeURIComponent(`${date}T23:59:59`);
+  const data = await gFetch(`/me/events/${masterId}/instances?startDateTime=${s}&endDateTime=${e}&$select=id`);
+  const occurrenceId = data?.value?.[0]?.id;
+  if (!occurrenceId) throw new Error("Occurrence not found in your calendar");
+  return occurrenceId;
+}
+
+// The organizer's own event id for a booking shown in the grid on `date`.
+// Occurrences resolve to that day's instance, so edits only touch one meeting.
+async function resolveOwnEventId(booking, date) {
+  if (booking.seriesMasterId) return findOccurrenceId(await resolveOwnSeriesMaster(booking), date);
+  if (!booking.mailbox) return booking.outlookEventId;
+  const roomEvt = await gFetch(
+    `/users/${encodeURIComponent(booking.mailbox)}/events/${booking.outlookEventId}?$select=iCalUId`
   );
-  return (data?.value || []).filter(ev => (ev.body?.content || "").includes(BOOKING_TAG));
+  const data = await gFetch(`/me/events?$filter=iCalUId eq '${roomEvt.iCalUId}'&$select=id`);
+  const id = data?.value?.[0]?.id;
+  if (!id) throw new Error("Booking not found in your calendar");
+  return id;
 }
 
-function buildRoomSlots(events) {
-  const roomSlots = Object.fromEntries(HOURS.map(h => [h.value, null]));
+function buildRoomBookings(events, mailbox, date) {
+  const roomBookings = {};
   events.forEach(evt => {
-    const startH = evt.start?.dateTime?.slice(11, 16);
-    const endH   = evt.end?.dateTime?.slice(11, 16);
-    if (!startH) return;
-    const startIdx = HOURS.findIndex(h => h.value === startH);
-    const endIdx   = HOURS.findIndex(h => h.value === endH);
-    if (startIdx === -1) return;
-    const endSafe = endIdx === -1 ? HOURS.length : endIdx;
-    const info = {
+    const { startHour, endHour, allDay } = eventHoursOn(evt, date);
+    if (!startHour) return;
+    placeBooking(roomBookings, {
       name:           evt.organizer?.emailAddress?.name || evt.subject || "Reserved",
       organizerEmail: evt.organizer?.emailAddress?.address || "",
       outlookEventId: evt.id,
-      startHour:      startH,
-      endHour:        endH,
+      iCalUId:        evt.iCalUId,
+      startHour,
+      endHour,
+      allDay,
+      seriesMasterId: evt.seriesMasterId || null,
+      mailbox,
+      tentative:      evt.showAs === "tentative",
+      joinUrl:        evt.onlineMeeting?.joinUrl || null,
+      services:       servicesOf(evt),
+      roomStatus:     "accepted", // it's in the room's own calendar
       synced:         true,
-    };
-    for (let i = startIdx; i < endSafe; i++) {
-      roomSlots[HOURS[i].value] = { ...info, isSpan: i > startIdx };
-    }
+    });
   });
-  return roomSlots;
+  return roomBookings;
 }
 
-// Fetch a single room's mailbox calendar for a given date.
-async function fetchRoomCalendar(email, date) {
+// Fetch a single room's mailbox calendar for a given date (or inclusive date range),
+// following nextLink until every event is in.
+async function fetchRoomCalendar(email, date, endDate = date) {
   const tz    = getTimezone();
   const start = encodeURIComponent(`${date}T00:00:00`);
-  const end   = encodeURIComponent(`${date}T23:59:59`);
-  const data  = await gFetch(
-    `/users/${encodeURIComponent(email)}/calendarView?startDateTime=${start}&endDateTime=${end}&$select=id,subject,start,end,organizer&$top=50&$orderby=start/dateTime`,
-    { headers: { Prefer: `outlook.timezone="${tz}"` } }
-  );
-  return data?.value || [];
+  const end   = encodeURIComponent(`${endDate}T23:59:59`);
+  const events = [];
+  let url = `/users/${encodeURIComponent(email)}/calendarView?startDateTime=${start}&endDateTime=${end}&$select=id,iCalUId,subject,start,end,isAllDay,organizer,type,seriesMasterId&$top=100&$orderby=start/dateTime`;
+  while (url) {
+    const data = await gFetch(url, { headers: { Prefer: `outlook.timezone="${tz}"` } });
+    events.push(...(data?.value || []));
+    url = data?.["@odata.nextLink"] || null;
+  }
+  return events;
 }
 
-// Distribute events from the signed-in user's own calendar into per-room slots,
-// matched by location display name. Used as a fallback when room calendars are
-// unavailable or haven't yet accepted the invite.
-function buildSlotsFromOwnCalendar(events) {
-  const slots = Object.fromEntries(
-    ROOMS.map(r => [r.id, Object.fromEntries(HOURS.map(h => [h.value, null]))])
-  );
+// ─── Calendar: Delta Sync ─────────────────────────────────────────────────────
+// The grid loads through calendarView/delta: one token per calendar and date range,
+// so a refresh only downloads events added, changed or removed since the last one.
+// _calendarDeltas: key → { link, events: Map(id → event) }, oldest key first.
+const DELTA_CACHE_LIMIT = 24;
+const _calendarDeltas   = new Map();
+const OWN_CALENDAR      = "__own"; // fetchCalendarDeltas id for /me, clear of any room id
+
+// A cursor over one calendar's delta pages. `fresh` ignores any saved token.
+function openDelta(calendarPath, date, endDate, fresh = false) {
+  const key  = `${calendarPath}|${date}|${endDate}|${getTimezone()}`;
+  const prev = fresh ? null : _calendarDeltas.get(key);
+  return {
+    key, calendarPath, date, endDate,
+    resumed: !!prev,
+    link:    prev?.link || null,
+    events:  new Map(prev?.events || []),
+    // Every date an event was added to, changed on or removed from (the whole range when fresh).
+    changedDates: new Set(prev ? [] : dateRange(date, endDate)),
+    url: prev?.link || `${calendarPath}/calendarView/delta?startDateTime=${encodeURIComponent(`${date}T00:00:00`)}&endDateTime=${encodeURIComponent(`${endDate}T23:59:59`)}`,
+  };
+}
+
+function applyDeltaPage(cursor, page) {
+  const touch = evt => eventDates(evt, cursor.date, cursor.endDate).forEach(d => cursor.changedDates.add(d));
+  (page?.value || []).forEach(evt => {
+    touch(cursor.events.get(evt.id)); // the dates it used to be on
+    if (evt["@removed"]) cursor.events.delete(evt.id);
+    else { cursor.events.set(evt.id, evt); touch(evt); }
+  });
+  if (page?.["@odata.deltaLink"]) cursor.link = page["@odata.deltaLink"];
+  cursor.url = page?.["@odata.nextLink"] || null;
+}
+
+function closeDelta(cursor) {
+  _calendarDeltas.delete(cursor.key); // re-insert as most recently used
+  _calendarDeltas.set(cursor.key, { link: cursor.link, events: cursor.events });
+  if (_calendarDeltas.size > DELTA_CACHE_LIMIT) _calendarDeltas.delete(_calendarDeltas.keys().next().value);
+  const events = [...cursor.events.values()]
+    .sort((a, b) => (a.start?.dateTime || "").localeCompare(b.start?.dateTime || ""));
+  return { events, changedDates: cursor.changedDates };
+}
+
+function resetCalendarDeltas() {
+  _calendarDeltas.clear();
+}
+
+// Delta-read several calendars over the same range, page by page, in shared batches.
+// calendars: { id: "/me" | "/users/{mailbox}" }
+// Result: { id: { events, changedDates } | { error } } — one failing calendar doesn't affect the rest.
+async function fetchCalendarDeltas(calendars, date, endDate = date) {
+  const headers = { Prefer: `outlook.timezone="${getTimezone()}", odata.maxpagesize=100` };
+  const cursors = Object.fromEntries(Object.entries(calendars).map(([id, path]) => [id, openDelta(path, date, endDate)]));
+  const results = {};
+  let pending = Object.keys(cursors);
+  while (pending.length) {
+    const responses = await gBatch(pending.map(id => ({ id, url: cursors[id].url, headers })));
+    pending = pending.filter(id => {
+      const res = responses[id] || { status: 0 };
+      const cur = cursors[id];
+      if (res.status === 200) {
+        applyDeltaPage(cur, res.body);
+        if (cur.url) return true;
+        results[id] = closeDelta(cur);
+      } else if (res.status === 410 && cur.resumed) {
+        // The token expired or the mailbox was reset — start that calendar over.
+        cursors[id] = openDelta(cur.calendarPath, date, endDate, true);
+        return true;
+      } else {
+        results[id] = { error: toGraphError(res.status, res.body) };
+      }
+      return false;
+    });
+  }
+  return results;
+}
+
+// Which of the given dates already have an overlapping event in the room, read fresh
+// from its calendar. ignoreId (an event id or iCalUId) skips a booking being edited.
+// Result: [{ date, name, startHour, endHour }]
+async function findRoomConflicts(email, dates, startHour, endHour, ignoreId) {
+  if (!dates.length) return [];
+  const evts = (await fetchRoomCalendar(email, dates[0], dates[dates.length - 1])).filter(ev => !ignoreId || (ev.id !== ignoreId && ev.iCalUId !== ignoreId));
+  const conflicts = [];
+  dates.forEach(date => {
+    const hit = evts.find(ev =>
+      (ev.start?.dateTime || "").slice(0, 16) < `${date}T${endHour}` &&
+      (ev.end?.dateTime   || "").slice(0, 16) > `${date}T${startHour}`
+    );
+    if (hit) conflicts.push({
+      date,
+      name:      hit.organizer?.emailAddress?.name || hit.subject || "Reserved",
+      startHour: hit.start.dateTime.slice(11, 16),
+      endHour:   hit.end.dateTime.slice(11, 16),
+    });
+  });
+  return conflicts;
+}
+
+// The room's answer to one of our invites, from its attendee entry:
+// "accepted" | "declined" | "pending", or null when the room isn't invited.
+function roomResponse(evt, mailbox) {
+  const me = (mailbox || "").toLowerCase();
+  const a  = me && (evt.attendees || []).find(x => (x.emailAddress?.address || "").toLowerCase() === me);
+  if (!a) return null;
+  return a.status?.response === "accepted" ? "accepted" : a.status?.response === "declined" ? "declined" : "pending";
+}
+
+// The room one of our booking events is for: the room invited as an attendee,
+// else the one named in its location.
+function bookedRoom(evt, rooms) {
+  const invited = (evt.attendees || []).map(a => (a.emailAddress?.address || "").toLowerCase());
+  const loc     = (evt.location?.displayName || evt.subject || "").toLowerCase();
+  return rooms.find(r => r.mailbox && invited.includes(r.mailbox.toLowerCase()))
+    || rooms.find(r => loc.includes(r.name.toLowerCase())) || null;
+}
+
+// Distribute events from the signed-in user's own calendar into per-room bookings.
+// Used as a fallback for rooms whose calendars can't be read, and for our own
+// invites a room hasn't answered yet. Rooms that declined are left out.
+function buildBookingsFromOwnCalendar(events, rooms, date) {
+  const byRoom = emptyDay(rooms);
   events.forEach(evt => {
-    const loc  = (evt.location?.displayName || evt.subject || "").toLowerCase();
-    const room = ROOMS.find(r => loc.includes(r.name.toLowerCase()));
+    const room = bookedRoom(evt, rooms);
     if (!room) return;
-    const startH = evt.start?.dateTime?.slice(11, 16);
-    const endH   = evt.end?.dateTime?.slice(11, 16);
-    if (!startH) return;
-    const startIdx = HOURS.findIndex(h => h.value === startH);
-    const endIdx   = HOURS.findIndex(h => h.value === endH);
-    if (startIdx === -1) return;
-    const endSafe = endIdx === -1 ? HOURS.length : endIdx;
-    const info = {
+    const roomStatus = roomResponse(evt, room.mailbox);
+    if (roomStatus === "declined") return;
+    const { startHour, endHour, allDay } = eventHoursOn(evt, date);
+    if (!startHour) return;
+    placeBooking(byRoom[room.id], {
       name:           evt.organizer?.emailAddress?.name || evt.subject || "Reserved",
       organizerEmail: evt.organizer?.emailAddress?.address || "",
       outlookEventId: evt.id,
-      startHour:      startH,
-      endHour:        endH,
+      iCalUId:        evt.iCalUId,
+      startHour,
+      endHour,
+      allDay,
+      seriesMasterId: evt.seriesMasterId || null,
+      tentative:      evt.showAs === "tentative",
+      joinUrl:        evt.onlineMeeting?.joinUrl || null,
+      services:       servicesOf(evt),
+      roomStatus,
       synced:         false, // pending room acceptance
-    };
-    for (let i = startIdx; i < endSafe; i++) {
-      slots[room.id][HOURS[i].value] = { ...info, isSpan: i > startIdx };
-    }
+    });
   });
-  return slots;
+  return byRoom;
+}
+
+// Our bookings a room has declined: [{ id, roomId, date, startHour, endHour, title, emails, services }].
+function findDeclines(events, rooms) {
+  const out = [];
+  events.forEach(evt => {
+    const room = bookedRoom(evt, rooms);
+    if (!room || roomResponse(evt, room.mailbox) !== "declined") return;
+    const skip = [room.mailbox, evt.organizer?.emailAddress?.address].filter(Boolean).map(e => e.toLowerCase());
+    out.push({
+      id:        evt.id,
+      roomId:    room.id,
+      date:      (evt.start?.dateTime || "").slice(0, 10),
+      startHour: (evt.start?.dateTime || "").slice(11, 16),
+      endHour:   (evt.end?.dateTime || "").slice(11, 16),
+      title:     evt.subject || "",
+      emails:    (evt.attendees || []).filter(a => a.type !== "resource")
+        .map(a => a.emailAddress?.address || "").filter(e => e && !skip.includes(e.toLowerCase())),
+      services:  servicesOf(evt),
+      online:    !!evt.isOnlineMeeting,
+    });
+  });
+  return out;
+}
+
+function loadDismissedDeclines() {
+  try { return JSON.parse(localStorage.getItem(DECLINES_KEY)) || {}; } catch { return {}; }
+}
+
+// dismissed: { eventId: date }; past dates are dropped.
+function persistDismissedDeclines(dismissed) {
+  const today = todayStr();
+  const kept  = Object.fromEntries(Object.entries(dismissed).filter(([, date]) => date >= today));
+  try { localStorage.setItem(DECLINES_KEY, JSON.stringify(kept)); } catch { /* ignore */ }
+}
+
+// ─── Calendar: My Bookings ────────────────────────────────────────────────────
+// Room bookings the signed-in user made (events carrying BOOKING_TAG), read straight
+// from /me/calendarView so the My bookings panel and policy quotas see every date,
+// not just the ones the grid has loaded. Series come back one occurrence at a time.
+const MY_BOOKINGS_WEEKS = [2, 4, 8, 12];
+
+const isBookingEvent = evt => (evt.body?.content || "").includes(BOOKING_TAG);
+
+// Our bookings from `from` to `to` that aren't over yet, soonest first:
+// [{ id, iCalUId, seriesMasterId, roomId, date, startHour, endHour, allDay, title, roomStatus, tentative }]
+// roomStatus is the room's answer ("accepted" | "pending" | "declined"), null when it isn't invited.
+async function fetchMyBookings(rooms, from, to) {
+  const now = wallClock();
+  const out = [];
+  let url = `/me/calendarView?startDateTime=${from}T00:00:00&endDateTime=${to}T23:59:59`
+    + "&$select=id,iCalUId,seriesMasterId,subject,body,start,end,isAllDay,location,attendees,isOrganizer,isCancelled,showAs,categories&$top=100&$orderby=start/dateTime";
+  while (url) {
+    const data = await gFetch(url, { headers: { Prefer: `outlook.timezone="${getTimezone()}"` } });
+    (data?.value || []).forEach(evt => {
+      if (!evt.isOrganizer || evt.isCancelled || !isBookingEvent(evt)) return;
+      const room = bookedRoom(evt, rooms);
+      if (!room || (evt.end?.dateTime || "").slice(0, 16) <= `${now.date}T${now.time}`) return;
+      const date = evt.start.dateTime.slice(0, 10);
+      out.push({
+        id:             evt.id,
+        iCalUId:        evt.iCalUId,
+        seriesMasterId: evt.seriesMasterId || null,
+        roomId:         room.id,
+        date,
+        ...eventHoursOn(evt, date),
+        title:          evt.subject || "",
+        roomStatus:     roomResponse(evt, room.mailbox),
+        tentative:      evt.showAs === "tentative",
+        services:       servicesOf(evt),
+      });
+    });
+    url = data?.["@odata.nextLink"] || null;
+  }
+  return out;
 }
 
+// ─── Calendar: Free/Busy ──────────────────────────────────────────────────────
 // Returns free/busy status for a list of emails over a time window.
 // Result: { email: 0 (free) | 1 (tentative) | 2 (busy) }
 async function getSchedule(emails, date, startHour, endHour) {
+  const views  = await getAvailabilityViews(emails, date, startHour, endHour, 30);
+  const result = {};
+  Object.entries(views).forEach(([email, view]) => {
+    // availabilityView is a string of digits per 30-min slot: 0=free,1=tentative,2=busy
+    result[email] = view.split("").reduce((a, c) => Math.max(a, parseInt(c) || 0), 0);
+  });
+  return result;
+}
+
+// Raw getSchedule availability strings, one digit per `interval` minutes from startHour.
+// Result: { email: "0022100…" }
+async function getAvailabilityViews(emails, date, startHour, endHour, interval) {
   if (!emails?.length) return {};
   const tz   = getTimezone();
   const data = await gFetch("/me/calendar/getSchedule", {
@@ -330,65 +1096,1008 @@ async function getSchedule(emails, date, startHour, endHour) {
       schedules:                emails,
       startTime:                { dateTime: `${date}T${startHour}:00`, timeZone: tz },
       endTime:                  { dateTime: `${date}T${endHour}:00`,   timeZone: tz },
-      availabilityViewInterval: 30,
+      availabilityViewInterval: interval,
     }),
   });
-  const result = {};
-  (data?.value || []).forEach(item => {
-    // availabilityView is a string of digits per 30-min slot: 0=free,1=tentative,2=busy
-    const worst = (item.availabilityView || "")
-      .split("").reduce((a, c) => Math.max(a, parseInt(c) || 0), 0);
-    result[item.scheduleId] = worst;
+  return Object.fromEntries((data?.value || []).map(item => [item.scheduleId, item.availabilityView || ""]));
+}
+
+// Ask Exchange when the attendees and the room are all free within [startHour, endHour).
+// Result: { suggestions: [{ startHour, endHour, confidence, busy, reason }], emptyReason }
+async function findMeetingTimes({ emails, roomName, roomEmail, date, startHour, endHour, minutes }) {
+  const tz   = getTimezone();
+  const body = {
+    attendees: emails.filter(isValidEmail).map(e => ({ emailAddress: { address: e }, type: "required" })),
+    timeConstraint: {
+      activityDomain: "unrestricted", // the window already reflects the room's opening hours
+      timeSlots: [{
+        start: { dateTime: `${date}T${startHour}:00`, timeZone: tz },
+        end:   { dateTime: `${date}T${endHour}:00`,   timeZone: tz },
+      }],
+    },
+    meetingDuration:           `PT${minutes}M`,
+    maxCandidates:             20,
+    isOrganizerOptional:       false,
+    returnSuggestionReasons:   true,
+    minimumAttendeePercentage: 50,
+  };
+  if (roomEmail) {
+    body.locationConstraint = {
+      isRequired: true, suggestLocation: false,
+      locations: [{ displayName: roomName, locationEmailAddress: roomEmail, resolveAvailability: true }],
+    };
+  }
+  const data = await gFetch("/me/findMeetingTimes", {
+    method: "POST",
+    headers: { Prefer: `outlook.timezone="${tz}"` },
+    body: JSON.stringify(body),
   });
-  return result;
+  const suggestions = (data?.meetingTimeSuggestions || [])
+    .filter(s => s.meetingTimeSlot?.start?.dateTime?.startsWith(date))
+    .map(s => ({
+      startHour:  s.meetingTimeSlot.start.dateTime.slice(11, 16),
+      endHour:    s.meetingTimeSlot.end.dateTime.slice(11, 16),
+      confidence: Math.round(s.confidence ?? 0),
+      busy:       (s.attendeeAvailability || [])
+        .filter(a => a.availability !== "free" && a.attendee?.emailAddress?.address?.toLowerCase() !== roomEmail?.toLowerCase())
+        .map(a => a.attendee.emailAddress.address),
+      reason:     s.suggestionReason || "",
+    }))
+    .sort((a, b) => b.confidence - a.confidence || a.startHour.localeCompare(b.startHour));
+  return { suggestions, emptyReason: data?.emptySuggestionsReason || "" };
 }
 
+// ─── Room Finder ──────────────────────────────────────────────────────────────
+const FINDER_WHEN = [
+  ["today",              "Later today"],
+  ["tomorrow-morning",   "Tomorrow morning"],
+  ["tomorrow-afternoon", "Tomorrow afternoon"],
+  ["tomorrow",           "Tomorrow (all day)"],
+  ["this-week",          "Rest of this week"],
+  ["next-week",          "Next week"],
+  ["custom",             "Pick a date…"],
+];
 
-// ─── App ──────────────────────────────────────────────────────────────────────
-export default function App() {
-  // URL params (Teams single-room tab)
-  const roomFilter = new URLSearchParams(window.location.search).get("room");
-  const visibleRooms = roomFilter ? ROOMS.filter(r => r.id === roomFilter) : ROOMS;
+// Turn a finder "when" choice into [{ date, from, to }] search windows.
+function finderWindows(finder, now) {
+  const { date: today, mins: nowMins } = wallClock(now);
+  const tomorrow = addDays(today, 1);
+  const weekdays = dates => dates.filter(d => !["saturday", "sunday"].includes(weekdayOf(d)));
+  switch (finder.when) {
+    case "today":              return [{ date: today, from: fromMins(Math.min(nowMins, 24 * 60 - 1)), to: "24:00" }];
+    case "tomorrow-morning":   return [{ date: tomorrow, from: "00:00", to: "12:00" }];
+    case "tomorrow-afternoon": return [{ date: tomorrow, from: "12:00", to: "24:00" }];
+    case "tomorrow":           return [{ date: tomorrow, from: "00:00", to: "24:00" }];
+    case "this-week":
+      return weekdays(weekDates(today, true).filter(d => d >= today))
+        .map(d => ({ date: d, from: d === today ? fromMins(nowMins) : "00:00", to: "24:00" }));
+    case "next-week":
+      return weekDates(addDays(today, 7), false).map(d => ({ date: d, from: "00:00", to: "24:00" }));
+    default:
+      return finder.date ? [{ date: finder.date, from: finder.from || "00:00", to: finder.to || "24:00" }] : [];
+  }
+}
 
-  // ── State ──
-  const [settings, setSettings]       = useState(loadSettings);
-  const [settingsForm, setSettingsForm] = useState(() => loadSettings());
-  const [activeDate, setActiveDate]   = useState(todayStr);
-  const [dateBookings, setDateBookings] = useState(() => ({ [todayStr()]: initSlots() }));
-  const [authState, setAuthState]     = useState("idle"); // idle | signing-in | signed-in
-  const [userInfo, setUserInfo]       = useState(null);
-  const [syncStatus, setSyncStatus]   = useState(""); // "" | syncing | synced | error
-  const [lastSynced, setLastSynced]   = useState(null);
-  const [roomCalStatus, setRoomCalStatus] = useState({}); // roomId → "ok"|"error"
-  const [modal, setModal]             = useState(null); // booking modal
-  const [viewModal, setViewModal]     = useState(null); // view-booking modal
-  const [settingsOpen, setSettingsOpen] = useState(false);
-  const [confirmCancel, setConfirmCancel] = useState(null);
-  const [form, setForm]               = useState({ name: "", email: "", title: "", endHour: "", emailInput: "", emails: [] });
-  const [isLoading, setIsLoading]     = useState(false);
-  const [toast, setToast]             = useState(null);
-  const [peopleSugg, setPeopleSugg]   = useState([]);
-  const [showSugg, setShowSugg]       = useState(false);
-  const [currentTime, setCurrentTime] = useState(() => new Date());
-  const [availability, setAvailability] = useState({}); // email → 0=free|1=tentative|2=busy
+// Rank every (room, start time) that fits the request.
+// availability: { date: { email: availabilityView } } with views starting at each window's `from`.
+// amenities: keys every offered room must have.
+// Result: [{ room, date, startHour, endHour, busy, tentative }] — fewest clashes, then earliest, then snuggest fit.
+function rankRoomOptions({ rooms, hours, policy, windows, bookingsByDate, people, duration, amenities, availability, nowHour }) {
+  const step    = hours.slotMinutes;
+  const options = [];
+  windows.forEach(w => {
+    rooms.forEach(room => {
+      if (room.capacity > 0 && room.capacity < people) return;
+      if (!hasAmenities(room, amenities)) return;
+      const open = roomHoursOn(hours, room, w.date);
+      if (!open) return;
+      const taken = Object.values(bookingsByDate[w.date]?.[room.id] || {});
+      let from = Math.max(toMins(w.from), toMins(open.open));
+      if (w.date === todayStr()) from = Math.max(from, toMins(nowHour));
+      from = Math.ceil(from / step) * step;
+      const until = Math.min(toMins(w.to), toMins(open.close));
+      for (let m = from; m + duration <= until; m += step) {
+        const startHour = fromMins(m), endHour = fromMins(m + duration);
+        if (taken.some(b => overlaps(b, startHour, endHour))) continue;
+        if (policyViolations(policy, room, { dates: [w.date], startHour, endHour, mine: null }).length) continue;
+        let busy = 0, tentative = 0;
+        Object.values(availability[w.date] || {}).forEach(view => {
+          const first = Math.floor((m - toMins(w.from)) / step);
+          const cells = view.slice(Math.max(first, 0), first + Math.ceil(duration / step)).split("");
+          if (cells.some(c => c === "2" || c === "3")) busy++;
+          else if (cells.includes("1")) tentative++;
+        });
+        options.push({ room, date: w.date, startHour, endHour, busy, tentative });
+      }
+    });
+  });
+  options.sort((a, b) =>
+    a.busy - b.busy || a.tentative - b.tentative ||
+    a.date.localeCompare(b.date) || a.startHour.localeCompare(b.startHour) ||
+    a.room.capacity - b.room.capacity
+  );
+  // Keep the list varied: at most two start times per room per day.
+  const perRoomDay = {};
+  return options.filter(o => {
+    const k = `${o.date}|${o.room.id}`;
+    perRoomDay[k] = (perRoomDay[k] || 0) + 1;
+    return perRoomDay[k] <= 2;
+  }).slice(0, 12);
+}
 
-  const searchTimer  = useRef(null);
-  const refreshTimer = useRef(null);
-  const today        = todayStr();
-  const currentBookings = dateBookings[activeDate] || initSlots();
-  const hasRoomEmails   = Object.values(settings.roomEmails || {}).some(e => e && e.includes("@"));
+// ─── Approvals ────────────────────────────────────────────────────────────────
+// Bookings in a requiresApproval room go out as tentative holds (showAs "tentative"),
+// with the approvers invited as optional attendees. The room still takes the hold,
+// so nobody else can book over it. An approver answers from their queue: accepting
+// approves, declining rejects, and the requester gets an email either way. The
+// requester's app then confirms an approved hold (busy, approvers dropped from the
+// invite) or cancels a rejected one.
+function normalizeApproval(room) {
+  const approvers = (Array.isArray(room.approvers) ? room.approvers : []).filter(e => typeof e === "string" && e.includes("@"));
+  return { approvers, requiresApproval: !!room.requiresApproval && approvers.length > 0 };
+}
 
-  // ── Toast ──
-  const showToast = useCallback((msg, type = "success") => {
-    setToast({ msg, type });
-    setTimeout(() => setToast(null), 4500);
-  }, []);
+const isApproverOf = (room, email) =>
+  !!email && room.approvers.some(a => a.toLowerCase() === email.toLowerCase());
 
-  // ── Current time clock ──
-  useEffect(() => {
-    const t = setInterval(() => setCurrentTime(new Date()), 30_000);
-    return () => clearInterval(t);
-  }, []);
+// "pending" | "approved" for bookings in approval rooms, null elsewhere.
+function approvalOf(room, booking) {
+  if (!room?.requiresApproval) return null;
+  return booking.tentative ? "pending" : "approved";
+}
+
+// Where one of our holds stands, from the approvers' responses on our copy.
+function holdDecision(evt, room) {
+  const answers = (evt.attendees || [])
+    .filter(a => isApproverOf(room, a.emailAddress?.address))
+    .map(a => a.status?.response);
+  return answers.includes("accepted") ? "approved" : answers.includes("declined") ? "rejected" : "pending";
+}
+
+// Our holds in approval rooms: [{ id, roomId, date, startHour, title, decision, tentative, attendees }],
+// attendees being everyone but the approvers.
+function findHolds(events, rooms) {
+  return events.flatMap(evt => {
+    const room = evt.isOrganizer !== false && bookedRoom(evt, rooms);
+    if (!room?.requiresApproval) return [];
+    return [{
+      id:        evt.id,
+      roomId:    room.id,
+      date:      (evt.start?.dateTime || "").slice(0, 10),
+      startHour: (evt.start?.dateTime || "").slice(11, 16),
+      endHour:   (evt.end?.dateTime || "").slice(11, 16),
+      title:     evt.subject || "",
+      services:  servicesOf(evt),
+      decision:  holdDecision(evt, room),
+      tentative: evt.showAs === "tentative",
+      attendees: (evt.attendees || [])
+        .filter(a => !isApproverOf(room, a.emailAddress?.address))
+        .map(({ emailAddress, type }) => ({ emailAddress, type })),
+    }];
+  });
+}
+
+const APPROVAL_LOOKAHEAD_DAYS = 90;
+
+// Requests waiting on `me`: holds in rooms I approve that I haven't answered.
+// Result: [{ id, room, date, startHour, endHour, subject, organizerName, organizerEmail, headcount }]
+async function fetchApprovalRequests(rooms, me) {
+  const mine = rooms.filter(r => r.requiresApproval && isApproverOf(r, me));
+  if (!mine.length) return [];
+  const mailboxes = new Set(rooms.map(r => (r.mailbox || "").toLowerCase()).filter(Boolean));
+  const from = todayStr();
+  const to   = addDays(from, APPROVAL_LOOKAHEAD_DAYS);
+  const out  = [];
+  let url = `/me/calendarView?startDateTime=${from}T00:00:00&endDateTime=${to}T23:59:59&$select=id,subject,start,end,organizer,attendees,isOrganizer,responseStatus&$top=100&$orderby=start/dateTime`;
+  while (url) {
+    const data = await gFetch(url, { headers: { Prefer: `outlook.timezone="${getTimezone()}"` } });
+    (data?.value || []).forEach(evt => {
+      if (evt.isOrganizer || !["none", "notResponded"].includes(evt.responseStatus?.response)) return;
+      const room = bookedRoom(evt, mine);
+      if (!room) return;
+      out.push({
+        id:             evt.id,
+        room,
+        date:           evt.start.dateTime.slice(0, 10),
+        startHour:      evt.start.dateTime.slice(11, 16),
+        endHour:        evt.end.dateTime.slice(11, 16),
+        subject:        evt.subject || "",
+        organizerName:  evt.organizer?.emailAddress?.name || "",
+        organizerEmail: evt.organizer?.emailAddress?.address || "",
+        headcount:      countHeadcount(evt.organizer?.emailAddress?.address, (evt.attendees || [])
+          .filter(a => a.type !== "resource")
+          .map(a => a.emailAddress?.address || "")
+          .filter(e => e && !isApproverOf(room, e) && !mailboxes.has(e.toLowerCase()))),
+      });
+    });
+    url = data?.["@odata.nextLink"] || null;
+  }
+  return out;
+}
+
+// Our holds over the whole look-ahead window, not just the dates on the grid, so a
+// hold weeks out is settled as soon as its approver answers.
+async function fetchMyHolds(rooms) {
+  const from = todayStr();
+  const to   = addDays(from, APPROVAL_LOOKAHEAD_DAYS);
+  const out  = [];
+  let url = `/me/calendarView?startDateTime=${from}T00:00:00&endDateTime=${to}T23:59:59&$select=id,subject,body,start,end,location,attendees,isOrganizer,isCancelled,showAs&$top=100&$orderby=start/dateTime`;
+  while (url) {
+    const data = await gFetch(url, { headers: { Prefer: `outlook.timezone="${getTimezone()}"` } });
+    out.push(...findHolds((data?.value || []).filter(evt => evt.showAs === "tentative" && !evt.isCancelled && isBookingEvent(evt)), rooms));
+    url = data?.["@odata.nextLink"] || null;
+  }
+  return out;
+}
+
+// Mail.Send is only asked for the first time an approver answers, not at sign-in.
+async function mailToken() {
+  if (isInTeams()) return getToken();
+  const msal    = await getMsal();
+  const account = msal.getAllAccounts()[0];
+  try {
+    return (await msal.acquireTokenSilent({ scopes: MAIL_SCOPES, account })).accessToken;
+  } catch {
+    return (await msal.acquireTokenPopup({ scopes: MAIL_SCOPES, account })).accessToken;
+  }
+}
+
+async function sendMail({ to, subject, html }) {
+  return gFetch("/me/sendMail", {
+    method: "POST",
+    token:  await mailToken(),
+    body: JSON.stringify({
+      message: {
+        subject,
+        body: { contentType: "HTML", content: html },
+        toRecipients: [{ emailAddress: { address: to } }],
+      },
+      saveToSentItems: true,
+    }),
+  });
+}
+
+// Approve (accept) or reject (decline) a request. The organizer gets Outlook's
+// response; emailApprovalDecision() follows up with a plain explanation.
+async function answerApproval(req, approve, comment) {
+  return gFetch(`/me/events/${req.id}/${approve ? "accept" : "decline"}`, {
+    method: "POST",
+    body: JSON.stringify({ comment, sendResponse: true }),
+  });
+}
+
+async function emailApprovalDecision(req, approve, comment, approverName) {
+  const when = `${formatShortDate(req.date)}, ${timeLabel(req.startHour)} – ${timeLabel(req.endHour)}`;
+  await sendMail({
+    to:      req.organizerEmail,
+    subject: `${approve ? "Approved" : "Not approved"}: ${req.room.name} · ${when}`,
+    html:    `<p>${escapeHtml(approverName)} ${approve ? "approved" : "did not approve"} your booking of <strong>${escapeHtml(req.room.name)}</strong>`
+      + ` for “${escapeHtml(req.subject)}” on ${when}.</p>`
+      + (comment ? `<p>Comment: ${escapeHtml(comment)}</p>` : "")
+      + (approve ? "<p>Your hold will be confirmed the next time you open Rooms.</p>"
+                 : "<p>The hold will be released the next time you open Rooms.</p>"),
+  });
+}
+
+// ─── Facilities Services ──────────────────────────────────────────────────────
+// A booking can ask facilities for catering, a room layout and setup notes. The
+// request rides in the event body as a hidden SERVICES_TAG line, so the organizer's
+// copy and every room copy that keeps bodies carry it. The catalog's facilities
+// mailbox is emailed when a booking with services is made, changed or cancelled, and
+// is invited to the booking as a resource, so its calendar holds every request with
+// Outlook keeping it current. The Services view lists each day from that calendar;
+// if it can't be read, it falls back to the requests on the viewer's grid.
+// services: { catering: [{ item, count }], layout, notes }, or null when nothing is asked for.
+const SERVICES_TAG     = "MountmeruServices";
+const CATERING_ITEMS   = ["Tea & coffee", "Water", "Snacks", "Lunch"];
+const ROOM_LAYOUTS     = ["Boardroom", "U-shape", "Classroom", "Theatre"];
+const SERVICES_PATTERN = new RegExp(`${SERVICES_TAG}:([A-Za-z0-9+/=]*)`);
+
+// Catalog "facilities": { mailbox, catering, layouts }; no mailbox turns services off.
+function normalizeFacilities(f = {}) {
+  const list = (v, fallback) => Array.isArray(v) && v.length ? v.filter(x => typeof x === "string" && x.trim()) : fallback;
+  return {
+    mailbox:  typeof f.mailbox === "string" && isValidEmail(f.mailbox) ? f.mailbox.trim() : "",
+    catering: list(f.catering, CATERING_ITEMS),
+    layouts:  list(f.layouts, ROOM_LAYOUTS),
+  };
+}
+
+function normalizeServices(s) {
+  if (!s) return null;
+  const catering = (Array.isArray(s.catering) ? s.catering : [])
+    .filter(c => c?.item && Number(c.count) > 0)
+    .map(c => ({ item: String(c.item), count: Math.floor(Number(c.count)) }));
+  const layout = typeof s.layout === "string" ? s.layout : "";
+  const notes  = typeof s.notes === "string" ? s.notes.trim() : "";
+  return catering.length || layout || notes ? { catering, layout, notes } : null;
+}
+
+const sameServices = (a, b) => JSON.stringify(normalizeServices(a)) === JSON.stringify(normalizeServices(b));
+
+// Base64 of the UTF-8 JSON, so Exchange's HTML rewriting can't mangle it.
+function encodeServices(services) {
+  const s = normalizeServices(services);
+  return s ? btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(s)))) : "";
+}
+
+function servicesFromHtml(html) {
+  const m = SERVICES_PATTERN.exec(html || "");
+  if (!m?.[1]) return null;
+  try { return normalizeServices(JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(m[1]), c => c.charCodeAt(0))))); }
+  catch { return null; }
+}
+
+const servicesOf = evt => servicesFromHtml(evt?.body?.content);
+
+const servicesTagHtml = services => services ? `<p style="display:none">${SERVICES_TAG}:${encodeServices(services)}</p>` : "";
+
+// Swap the services line in an existing body (Teams meetings keep Teams' body).
+function withServicesTag(html, services) {
+  if (SERVICES_PATTERN.test(html)) return html.replace(SERVICES_PATTERN, `${SERVICES_TAG}:${encodeServices(services)}`);
+  if (!services) return html;
+  return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${servicesTagHtml(services)}</body>`) : html + servicesTagHtml(services);
+}
+
+// "Tea & coffee ×8, Lunch ×8 · U-shape"
+function servicesSummary(services) {
+  if (!services) return "";
+  return [services.catering.map(c => `${c.item} ×${c.count}`).join(", "), services.layout].filter(Boolean).join(" · ");
+}
+
+function servicesHtml(services) {
+  const rows = [
+    ...services.catering.map(c => [c.item, `${c.count} ${c.count === 1 ? "person" : "people"}`]),
+    services.layout && ["Room layout", services.layout],
+    services.notes  && ["Setup notes", services.notes],
+  ].filter(Boolean);
+  return `<table cellpadding="4">${rows.map(([k, v]) => `<tr><td><strong>${escapeHtml(k)}</strong></td><td>${escapeHtml(v)}</td></tr>`).join("")}</table>`;
+}
+
+const SERVICES_CHANGES = {
+  new:       ["Services requested", "has asked for the following"],
+  changed:   ["Services changed",   "has changed their request — it now is"],
+  cancelled: ["Services cancelled", "no longer needs the services below"],
+};
+
+// change: new | changed | cancelled. For cancelled, `services` is what was asked for before.
+// booking: { roomName, date, startHour, endHour, title, organizerName, organizerEmail, people, repeats, pending }
+// `pending`: the room still waits on an approver; a rejection is followed by a cancellation.
+async function notifyFacilities(mailbox, change, booking, services) {
+  const [subject, verb] = SERVICES_CHANGES[change];
+  const when = `${formatShortDate(booking.date)}, ${timeLabel(booking.startHour)} – ${timeLabel(booking.endHour)}`;
+  await sendMail({
+    to:      mailbox,
+    subject: `${subject}${booking.pending ? " (pending approval)" : ""}: ${booking.roomName} · ${when}`,
+    html:    `<p>${escapeHtml(booking.organizerName || booking.organizerEmail)} ${verb} for “${escapeHtml(booking.title)}”`
+      + ` in <strong>${escapeHtml(booking.roomName)}</strong> on ${when}`
+      + (booking.people ? ` (${booking.people} ${booking.people === 1 ? "person" : "people"})` : "") + ":</p>"
+      + (booking.repeats ? `<p>🔁 ${escapeHtml(booking.repeats)}</p>` : "")
+      + (booking.pending ? "<p>⏳ The room is waiting on approval. If it isn't approved you'll get a cancellation.</p>" : "")
+      + servicesHtml(services)
+      + (booking.organizerEmail ? `<p>Questions: ${escapeHtml(booking.organizerEmail)}</p>` : ""),
+  });
+}
+
+// What a cancellation covers, for recurring bookings.
+const CANCEL_SCOPE_NOTES = { occurrence: "", following: "This and all later occurrences", series: "Every occurrence" };
+
+// The notifyFacilities booking for buildEventBody details.
+const facilitiesBooking = (d, repeats = "") => ({
+  roomName: d.roomName, date: d.date, startHour: d.startHour, endHour: d.endHour, title: d.meetingTitle,
+  organizerName: d.bookerName, organizerEmail: d.bookerEmail, people: countHeadcount(d.bookerEmail, d.emailList), repeats,
+  pending: !!d.approvers?.length,
+});
+
+// …and for a booking already on the grid.
+const facilitiesBookingOf = (room, date, b, repeats = "") => ({
+  roomName: room.name, date, startHour: b.startHour, endHour: b.endHour, title: b.title || b.name,
+  organizerName: b.organizer || b.name, organizerEmail: b.organizerEmail || "", people: 0, repeats,
+});
+
+// Bookings with services on the given dates, in time order:
+// [{ date, room, startHour, endHour, title, organizer, services }]
+function servicesOnDates(dates, rooms, byDate) {
+  return dates.flatMap(date => rooms.flatMap(room => Object.values(byDate[date]?.[room.id] || {})
+    .filter(b => b.services)
+    .map(b => ({ date, room, startHour: b.startHour, endHour: b.endHour, title: b.title || b.name, organizer: b.organizer || b.name, services: b.services }))))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startHour.localeCompare(b.startHour));
+}
+
+// The same list from the facilities calendar, which every booking with services invites.
+async function fetchFacilitiesServices(mailbox, rooms, from, to) {
+  const out = [];
+  let url = `/users/${encodeURIComponent(mailbox)}/calendarView?startDateTime=${from}T00:00:00&endDateTime=${to}T23:59:59`
+    + "&$select=id,subject,body,start,end,isAllDay,isCancelled,organizer,attendees,location&$top=100&$orderby=start/dateTime";
+  while (url) {
+    const data = await gFetch(url, { headers: { Prefer: `outlook.timezone="${getTimezone()}"` } });
+    (data?.value || []).forEach(evt => {
+      const services = !evt.isCancelled && servicesOf(evt);
+      const room     = services && bookedRoom(evt, rooms);
+      if (!room) return;
+      eventDates(evt, from, to).forEach(date => out.push({
+        date, room, ...eventHoursOn(evt, date),
+        title:     evt.subject || "",
+        organizer: evt.organizer?.emailAddress?.name || evt.organizer?.emailAddress?.address || "",
+        services,
+      }));
+    });
+    url = data?.["@odata.nextLink"] || null;
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date) || a.startHour.localeCompare(b.startHour));
+}
+
+function servicesListHtml(items) {
+  return dateRange(items[0].date, items[items.length - 1].date).filter(d => items.some(x => x.date === d)).map(d =>
+    `<h3>${formatDate(d)}</h3>` + items.filter(x => x.date === d).map(x =>
+      `<p><strong>${timeLabel(x.startHour)} – ${timeLabel(x.endHour)} · ${escapeHtml(x.room.name)}</strong><br>`
+      + `${escapeHtml(x.title)} — ${escapeHtml(x.organizer)}</p>${servicesHtml(x.services)}`).join("")
+  ).join("");
+}
+
+function servicesCsv(items) {
+  return [
+    ["Date", "Start", "End", "Room", "Meeting", "Organizer", "Catering", "Layout", "Setup notes"],
+    ...items.map(x => [
+      x.date, x.startHour, x.endHour, x.room.name, x.title, x.organizer,
+      x.services.catering.map(c => `${c.item} x${c.count}`).join("; "), x.services.layout, x.services.notes,
+    ]),
+  ];
+}
+
+// ─── Booking Policy ───────────────────────────────────────────────────────────
+// The catalog's "policy" block limits what people can book; a room's own "policy"
+// overrides the time limits for that room and adds its own blackout dates:
+// { maxDurationMinutes, maxDaysAhead, minNoticeMinutes, maxPerDay, maxPerWeek,
+//   blackoutDates: ["YYYY-MM-DD" | { from, to, reason }] }
+// Unset limits don't apply. maxPerDay / maxPerWeek count the booker's active
+// bookings across all rooms, so only the catalog's apply. New bookings, edits,
+// the finder and walk-ins all go through policyViolations().
+const POLICY_LIMITS = ["maxDurationMinutes", "maxDaysAhead", "minNoticeMinutes", "maxPerDay", "maxPerWeek"];
+const isDateStr = d => /^\d{4}-\d{2}-\d{2}$/.test(d || "");
+
+function normalizePolicy(policy) {
+  const out = Object.fromEntries(POLICY_LIMITS.map(k => [k, +policy?.[k] > 0 ? Math.round(+policy[k]) : null]));
+  out.blackoutDates = (Array.isArray(policy?.blackoutDates) ? policy.blackoutDates : [])
+    .map(b => typeof b === "string" ? { from: b } : b || {})
+    .filter(b => isDateStr(b.from))
+    .map(b => ({ from: b.from, to: isDateStr(b.to) && b.to > b.from ? b.to : b.from, reason: b.reason || "" }));
+  return out;
+}
+
+// The rules for one room: its own time limits win, both sets of blackouts apply.
+function roomPolicy(policy, room) {
+  const own = room.policy || normalizePolicy();
+  return {
+    ...policy,
+    maxDurationMinutes: own.maxDurationMinutes ?? policy.maxDurationMinutes,
+    maxDaysAhead:       own.maxDaysAhead ?? policy.maxDaysAhead,
+    minNoticeMinutes:   own.minNoticeMinutes ?? policy.minNoticeMinutes,
+    blackoutDates:      [...policy.blackoutDates, ...own.blackoutDates],
+  };
+}
+
+function durationLabel(mins) {
+  const h = Math.floor(mins / 60), m = mins % 60;
+  return h ? `${h} hour${h > 1 ? "s" : ""}${m ? ` ${m} min` : ""}` : `${m} min`;
+}
+
+const weekOf = date => weekDates(date, true)[0];
+
+// Why booking `room` on `dates` (one, or each occurrence of a series) would break
+// the policy — one message per rule, [] when it's allowed. mine: the booker's other
+// active bookings [{ date }], or null when unknown (quotas are then skipped).
+function policyViolations(policy, room, { dates, startHour, endHour, mine }) {
+  const rules = roomPolicy(policy, room);
+  const now   = wallClock();
+  const first = dates[0], last = dates[dates.length - 1];
+  const out   = [];
+
+  if (rules.maxDurationMinutes && toMins(endHour) - toMins(startHour) > rules.maxDurationMinutes) {
+    out.push(`${room.name} can be booked for at most ${durationLabel(rules.maxDurationMinutes)} at a time`);
+  }
+  const horizon = rules.maxDaysAhead && addDays(now.date, rules.maxDaysAhead);
+  if (horizon && last > horizon) {
+    out.push(`${room.name} can be booked at most ${rules.maxDaysAhead} days ahead — up to ${formatShortDate(horizon)}`
+      + (dates.length > 1 ? ". End the series by then." : ""));
+  }
+  const lead = (Date.parse(`${first}T00:00Z`) - Date.parse(`${now.date}T00:00Z`)) / 60_000 + toMins(startHour) - now.mins;
+  if (rules.minNoticeMinutes && lead < rules.minNoticeMinutes) {
+    out.push(`${room.name} needs ${durationLabel(rules.minNoticeMinutes)} notice — pick a later start`);
+  }
+  const blocked = dates.flatMap(d => rules.blackoutDates.filter(b => d >= b.from && d <= b.to).slice(0, 1).map(b => [d, b]));
+  if (blocked.length) {
+    const [d, b] = blocked[0];
+    out.push(`${room.name} can't be booked on ${formatShortDate(d)}${b.reason ? ` (${b.reason})` : ""}`
+      + (blocked.length > 1 ? ` or ${blocked.length - 1} other date${blocked.length > 2 ? "s" : ""} in this series` : ""));
+  }
+
+  const quota = (limit, keyOf, per, where) => {
+    if (!limit || !mine) return;
+    const have = {}, adding = {};
+    mine.forEach(b => { have[keyOf(b.date)] = (have[keyOf(b.date)] || 0) + 1; });
+    dates.forEach(d => { adding[keyOf(d)] = (adding[keyOf(d)] || 0) + 1; });
+    const over = Object.keys(adding).sort().find(k => (have[k] || 0) + adding[k] > limit);
+    if (!over) return;
+    const why = have[over]
+      ? `you already have ${have[over]}${adding[over] > 1 ? ` and this series adds ${adding[over]}` : ""}`
+      : `this series books ${adding[over]}`;
+    out.push(`You can have ${limit} active booking${limit > 1 ? "s" : ""} a ${per} — ${why} ${where(over)}`);
+  };
+  quota(policy.maxPerDay, d => d, "day", d => `on ${formatShortDate(d)}`);
+  quota(policy.maxPerWeek, weekOf, "week", w => `in the week of ${formatShortDate(w)}`);
+  return out;
+}
+
+// ─── Check-in & No-show Release ───────────────────────────────────────────────
+// A meeting is checked in from CHECKIN_EARLY_MINUTES before its start until
+// `graceMinutes` after it. Past that, the organizer's app cancels the Outlook event
+// so the room shows as free again. Rooms with a wall display check in at the display
+// instead, and the display declines no-shows for the room.
+// A check-in is shared as an Outlook category on the event copy the releasing app
+// reads — the organizer's own event, or the room's copy at a wall display — and is
+// re-read right before releasing, so no copy of the app cancels a meeting checked in
+// elsewhere. Releases are kept in the releasing device's localStorage log, which also
+// caches check-ins, keyed by checkInKey():
+// { state: "checked-in"|"released", at, roomId, date, startHour, endHour, title, organizer, organizerEmail }
+const CHECKIN_EARLY_MINUTES = 10;
+const CHECKIN_KEEP_DAYS     = 180; // released entries feed reporting
+const CHECKIN_CATEGORY      = "Checked in";
+
+function normalizeCheckIn(checkIn) {
+  const grace = +checkIn?.graceMinutes;
+  return {
+    enabled:      !!checkIn?.enabled,
+    graceMinutes: grace > 0 && grace <= 120 ? Math.round(grace) : 15,
+  };
+}
+
+const checkInKey = (date, roomId, startHour) => `${date}|${roomId}|${startHour}`;
+
+function loadCheckIns() {
+  try {
+    const log    = JSON.parse(localStorage.getItem(CHECKIN_KEY) || "{}");
+    const cutoff = addDays(todayStr(), -CHECKIN_KEEP_DAYS);
+    return Object.fromEntries(Object.entries(log).filter(([, e]) => e.date >= cutoff));
+  } catch { return {}; }
+}
+
+function persistCheckIns(log) {
+  try { localStorage.setItem(CHECKIN_KEY, JSON.stringify(log)); } catch { /* ignore */ }
+}
+
+function checkInEntry(state, roomId, date, booking) {
+  return {
+    state, at: new Date().toISOString(), roomId, date,
+    startHour:      booking.startHour,
+    endHour:        booking.endHour,
+    title:          booking.title || "",
+    organizer:      booking.organizer || booking.name || "",
+    organizerEmail: booking.organizerEmail || "",
+  };
+}
+
+// "checked-in" | null, from an event's categories.
+const checkInTagOf = evt => (evt?.categories || []).includes(CHECKIN_CATEGORY) ? "checked-in" : null;
+
+// Log entries for the tagged events among `events`; roomOf(evt) → room or null.
+function sharedCheckIns(events, roomOf) {
+  const out = {};
+  events.forEach(evt => {
+    const state = checkInTagOf(evt);
+    const room  = state && roomOf(evt);
+    if (!room || !evt.start?.dateTime) return;
+    const date    = evt.start.dateTime.slice(0, 10);
+    const booking = {
+      startHour:      evt.start.dateTime.slice(11, 16),
+      endHour:        (evt.end?.dateTime || "").slice(11, 16),
+      title:          evt.subject,
+      organizer:      evt.organizer?.emailAddress?.name,
+      organizerEmail: evt.organizer?.emailAddress?.address,
+    };
+    out[checkInKey(date, room.id, booking.startHour)] = {
+      ...checkInEntry(state, room.id, date, booking),
+      at: evt.lastModifiedDateTime || new Date().toISOString(),
+    };
+  });
+  return out;
+}
+
+// calendarPath: "/me" or "/users/{room mailbox}". Categories don't send meeting updates.
+async function fetchCheckInTag(calendarPath, id) {
+  return checkInTagOf(await gFetch(`${calendarPath}/events/${id}?$select=categories`));
+}
+
+async function tagCheckIn(calendarPath, id) {
+  const evt  = await gFetch(`${calendarPath}/events/${id}?$select=categories`);
+  const cats = evt?.categories || [];
+  if (cats.includes(CHECKIN_CATEGORY)) return null;
+  return gFetch(`${calendarPath}/events/${id}`, {
+    method: "PATCH",
+    body: JSON.stringify({ categories: [...cats, CHECKIN_CATEGORY] }),
+  });
+}
+
+// "checked-in" | "released" | "awaiting" (window open) | "missed" (grace passed) | null
+function checkInState(log, checkIn, date, roomId, booking, now) {
+  const entry = log[checkInKey(date, roomId, booking.startHour)];
+  if (entry) return entry.state;
+  if (!checkIn.enabled || date !== todayStr()) return null;
+  const nowMins = wallClock(now).mins;
+  const start   = toMins(booking.startHour);
+  if (nowMins < start - CHECKIN_EARLY_MINUTES || nowMins >= toMins(booking.endHour)) return null;
+  return nowMins < start + checkIn.graceMinutes ? "awaiting" : "missed";
+}
+
+// ─── Analytics ────────────────────────────────────────────────────────────────
+// Utilisation over a past range, read from the room calendars. Occupancy is booked
+// time inside each room's opening hours. "Attending" is everyone invited less anyone
+// who declined. Most room calendars drop cancelled meetings, so cancellations are only
+// the ones still listed as cancelled, and are labelled that way rather than as a rate
+// of all cancellations. Room calendars can't tell a released no-show from a
+// cancellation, so no-shows come from this device's check-in log: the viewer's own
+// bookings or, on a wall display, its room. They are a count for those, never an
+// org-wide rate.
+const ANALYTICS_RANGES   = [7, 30, 90];
+const ANALYTICS_MAX_DAYS = CHECKIN_KEEP_DAYS; // no-show data goes no further back
+const TOP_BOOKERS        = 10;
+
+async function fetchRoomHistory(email, from, to) {
+  const events = [];
+  let url = `/users/${encodeURIComponent(email)}/calendarView?startDateTime=${from}T00:00:00&endDateTime=${to}T23:59:59`
+    + "&$select=id,subject,start,end,isAllDay,isCancelled,organizer,attendees&$top=100&$orderby=start/dateTime";
+  while (url) {
+    const data = await gFetch(url, { headers: { Prefer: `outlook.timezone="${getTimezone()}"` } });
+    events.push(...(data?.value || []));
+    url = data?.["@odata.nextLink"] || null;
+  }
+  return events;
+}
+
+const percent = (n, d) => d ? Math.round(n / d * 100) : 0;
+const overlapMins = (a1, a2, b1, b2) => Math.max(0, Math.min(a2, b2) - Math.max(a1, b1));
+
+// history: { roomId: events | null (no calendar access) }. Result:
+// { hours: [h…], rooms: [{ room, noData, bookings, bookedMins, occupancy, byHour: { h: % },
+//   avgInvited, avgAttending, cancellations, noShows, cancelRate }], bookers: [{ name, email, bookings, minutes }] }
+function analyzeUsage({ rooms, hours, history, checkIns, from, to }) {
+  const dates     = dateRange(from, to);
+  const mailboxes = new Set(rooms.map(r => r.mailbox.toLowerCase()).filter(Boolean));
+  const bookers   = {};
+  let first = 24, last = 0;
+
+  const report = rooms.map(room => {
+    const events = history[room.id];
+    if (!events) return { room, noData: true };
+    const openOn   = Object.fromEntries(dates.map(d => [d, roomHoursOn(hours, room, d)]));
+    const hourOpen = {}, hourBooked = {};
+    let openMins = 0, bookedMins = 0;
+    Object.values(openOn).filter(Boolean).forEach(open => {
+      const o = toMins(open.open), c = toMins(open.close);
+      openMins += c - o;
+      for (let h = Math.floor(o / 60); h * 60 < c; h++) hourOpen[h] = (hourOpen[h] || 0) + overlapMins(h * 60, h * 60 + 60, o, c);
+      first = Math.min(first, Math.floor(o / 60));
+      last  = Math.max(last, Math.ceil(c / 60) - 1);
+    });
+
+    const kept = events.filter(e => !e.isCancelled);
+    let invited = 0, attending = 0;
+    kept.forEach(evt => {
+      const people  = (evt.attendees || []).filter(a => a.type !== "resource" && !isApproverOf(room, a.emailAddress?.address)
+        && !mailboxes.has((a.emailAddress?.address || "").toLowerCase()));
+      const orgEmail = evt.organizer?.emailAddress?.address || "";
+      invited   += countHeadcount(orgEmail, people.map(a => a.emailAddress?.address || ""));
+      attending += countHeadcount(orgEmail, people.filter(a => a.status?.response !== "declined").map(a => a.emailAddress?.address || ""));
+
+      let minutes = 0;
+      eventDates(evt, from, to).forEach(d => {
+        const open = openOn[d];
+        if (!open) return;
+        const { startHour, endHour } = eventHoursOn(evt, d);
+        const s = Math.max(toMins(startHour), toMins(open.open)), e = Math.min(toMins(endHour), toMins(open.close));
+        if (e <= s) return;
+        minutes += e - s;
+        for (let h = Math.floor(s / 60); h * 60 < e; h++) hourBooked[h] = (hourBooked[h] || 0) + overlapMins(h * 60, h * 60 + 60, s, e);
+      });
+      bookedMins += minutes;
+
+      const key = (orgEmail || evt.organizer?.emailAddress?.name || "unknown").toLowerCase();
+      bookers[key] ||= { name: evt.organizer?.emailAddress?.name || orgEmail || "Unknown", email: orgEmail, bookings: 0, minutes: 0 };
+      bookers[key].bookings++;
+      bookers[key].minutes += minutes;
+    });
+
+    // A released no-show is cancelled in Outlook too — count it once, as a no-show.
+    const released = Object.values(checkIns).filter(e => e.state === "released" && e.roomId === room.id && e.date >= from && e.date <= to);
+    const releasedAt = new Set(released.map(e => `${e.date}|${e.startHour}`));
+    const cancelled = events.filter(e => e.isCancelled);
+    const cancellations = cancelled.filter(e => !releasedAt.has(`${e.start.dateTime.slice(0, 10)}|${e.start.dateTime.slice(11, 16)}`)).length;
+    const scheduled = kept.length + cancellations + released.length;
+
+    return {
+      room,
+      bookings:     kept.length,
+      bookedMins,
+      occupancy:    percent(bookedMins, openMins),
+      byHour:       Object.fromEntries(Object.keys(hourOpen).map(h => [h, percent(hourBooked[h] || 0, hourOpen[h])])),
+      avgInvited:   kept.length ? invited / kept.length : 0,
+      avgAttending: kept.length ? attending / kept.length : 0,
+      cancellations,
+      noShows:      released.length,
+      cancelRate:   percent(cancellations, scheduled),
+    };
+  });
+
+  return {
+    hours:   first <= last ? Array.from({ length: last - first + 1 }, (_, i) => first + i) : [],
+    rooms:   report,
+    bookers: Object.values(bookers).sort((a, b) => b.bookings - a.bookings || b.minutes - a.minutes).slice(0, TOP_BOOKERS),
+  };
+}
+
+function analyticsCsv(report, from, to) {
+  const num = n => Math.round(n * 10) / 10;
+  const hourLabel = h => timeLabel(fromMins(h * 60));
+  return [
+    [`Room usage ${from} to ${to}`],
+    [],
+    ["Room", "Capacity", "Bookings", "Hours booked", "Occupancy %", "Avg invited", "Avg attending", "Listed cancelled", "Listed cancelled %", "Your no-shows"],
+    ...report.rooms.map(r => r.noData ? [r.room.name, r.room.capacity || "", "No calendar access"] : [
+      r.room.name, r.room.capacity || "", r.bookings, num(r.bookedMins / 60), r.occupancy,
+      num(r.avgInvited), num(r.avgAttending), r.cancellations, r.cancelRate, r.noShows,
+    ]),
+    [],
+    ["Listed cancelled: cancelled meetings the room calendar still lists — most rooms drop them, so this is a floor, not the cancellation rate"],
+    ["Your no-shows: bookings this device released because nobody checked in (yours, or a wall display's room) — not an org-wide figure"],
+    [],
+    ["Occupancy % by hour", ...report.hours.map(hourLabel)],
+    ...report.rooms.filter(r => !r.noData).map(r => [r.room.name, ...report.hours.map(h => r.byHour[h] ?? "")]),
+    [],
+    ["Top bookers", "Email", "Bookings", "Hours booked"],
+    ...report.bookers.map(b => [b.name, b.email, b.bookings, num(b.minutes / 60)]),
+  ];
+}
+
+// ─── Export (CSV & iCalendar) ─────────────────────────────────────────────────
+// Built from the same per-day booking model the grid renders, so exports match the
+// screen: a meeting running over several days comes out as one entry per day.
+// iCalendar times are written in UTC, which needs no VTIMEZONE block.
+const EXPORT_MAX_DAYS = 92;
+const ICS_PRODID      = "-//Mount Meru//Room Booking//EN";
+
+// One row per booking, by date, then room (in catalog order), then start time.
+function bookingsCsv(dates, rooms, byDate) {
+  const rows = [["Date", "Room", "Start", "End", "Title", "Organizer", "Organizer email", "Attendees", "Status"]];
+  dates.forEach(date => rooms.forEach(room => {
+    Object.values(byDate[date]?.[room.id] || {})
+      .sort((a, b) => a.startHour.localeCompare(b.startHour))
+      .forEach(b => rows.push([
+        date, room.name,
+        b.allDay ? "All day" : b.startHour, b.allDay ? "" : b.endHour,
+        b.title || b.name, b.organizer || b.name || "", b.organizerEmail || "",
+        b.emails ? b.emails.length + 1 : "", // room calendars don't show who's invited
+        approvalOf(room, b) === "pending" ? "Awaiting approval" : b.roomStatus === "pending" ? "Awaiting room" : b.queued ? "Offline — not sent" : "Booked",
+      ]));
+  }));
+  return rows;
+}
+
+const icsText  = v => String(v).replace(/\\/g, "\\\\").replace(/([;,])/g, "\\$1").replace(/\r?\n/g, "\\n");
+const icsStamp = at => at.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const icsDate  = date => date.replace(/-/g, "");
+
+// Content lines are folded at 75 octets (RFC 5545 §3.1), never inside a UTF-8 character.
+function icsFold(line) {
+  const enc = new TextEncoder();
+  const out = [];
+  let cur = "", size = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) { out.push(cur); cur = ""; size = 0; }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function bookingIcsEvent(date, room, b, stamp) {
+  const uid = `${(b.iCalUId || b.key).replace(/[^A-Za-z0-9-]/g, "")}-${icsDate(date)}@mountmeru-rooms`;
+  const [start, end] = b.allDay
+    ? [`DTSTART;VALUE=DATE:${icsDate(date)}`, `DTEND;VALUE=DATE:${icsDate(addDays(date, 1))}`]
+    : [`DTSTART:${icsStamp(zonedInstant(date, b.startHour))}`, `DTEND:${icsStamp(zonedInstant(date, b.endHour))}`];
+  const organizer = b.organizer || b.name;
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    start, end,
+    `SUMMARY:${icsText(b.title || b.name || "Reserved")}`,
+    `LOCATION:${icsText([room.name, roomLocation(room)].filter(Boolean).join(", "))}`,
+    ...(b.organizerEmail ? [`ORGANIZER;CN="${(organizer || "").replace(/"/g, "'")}":mailto:${b.organizerEmail}`] : []),
+    `DESCRIPTION:${icsText(`Booked by ${organizer || "unknown"}`)}`,
+    `STATUS:${b.tentative || b.roomStatus === "pending" ? "TENTATIVE" : "CONFIRMED"}`,
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+  ];
+}
+
+// entries: [{ date, room, booking }]
+function bookingsIcs(entries, calName) {
+  const stamp = icsStamp(new Date());
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICS_PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(calName ? [`X-WR-CALNAME:${icsText(calName)}`] : []),
+    ...entries.flatMap(({ date, room, booking }) => bookingIcsEvent(date, room, booking, stamp)),
+    "END:VCALENDAR",
+  ].map(icsFold).join("\r\n") + "\r\n";
+}
+
+const downloadIcs = (filename, entries, calName) => downloadFile(filename, "text/calendar;charset=utf-8", bookingsIcs(entries, calName));
+
+// ─── Offline Store (IndexedDB) ────────────────────────────────────────────────
+// "schedules": last synced bookings per date  { date, bookings, syncedAt, timeZone }
+// "queue":     bookings and cancellations made offline, replayed in order once back online
+//   { id, type: "create", roomId, date, startHour, endHour, details, queuedAt }
+//   { id, type: "cancel", roomId, date, startHour, booking, scope, queuedAt }
+const OFFLINE_DB         = "mm_rooms_offline";
+const SCHEDULE_KEEP_DAYS = 60;
+
+let _offlineDb = null;
+function openOfflineDb() {
+  if (_offlineDb) return _offlineDb;
+  _offlineDb = new Promise((resolve, reject) => {
+    const req = indexedDB.open(OFFLINE_DB, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore("schedules", { keyPath: "date" });
+      req.result.createObjectStore("queue", { keyPath: "id", autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+  return _offlineDb;
+}
+
+// Runs fn(store) in one transaction; resolves with the result of the request fn returns.
+async function idb(storeName, mode, fn) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror    = () => reject(tx.error);
+  });
+}
+
+function saveSchedules(byDate, syncedAt) {
+  return idb("schedules", "readwrite", store => {
+    Object.entries(byDate).forEach(([date, bookings]) => store.put({ date, bookings, syncedAt: syncedAt[date], timeZone: getTimezone() }));
+    store.delete(IDBKeyRange.upperBound(addDays(todayStr(), -SCHEDULE_KEEP_DAYS), true));
+  });
+}
+
+const loadSchedules = () => idb("schedules", "readonly", store => store.getAll());
+const loadQueue     = () => idb("queue", "readonly", store => store.getAll());
+const queueAction   = action => idb("queue", "readwrite", store => store.add({ ...action, queuedAt: new Date().toISOString() }));
+const removeQueued  = id => idb("queue", "readwrite", store => store.delete(id));
+
+// A failure caused by the connection rather than by Graph refusing the request.
+function isOfflineError(e) {
+  return !navigator.onLine || e?.kind === "network";
+}
+
+
+// ─── App ──────────────────────────────────────────────────────────────────────
+export default function App() {
+  // ── State ──
+  const [catalog, setCatalog]         = useState(loadCachedCatalog);
+  const [settings, setSettings]       = useState(loadSettings);
+  const [settingsForm, setSettingsForm] = useState(() => loadSettings());
+  const [activeDate, setActiveDate]   = useState(todayStr);
+  const [viewMode, setViewMode]       = useState("day"); // day | week
+  const [dateBookings, setDateBookings] = useState({});
+  const [authState, setAuthState]     = useState("idle"); // idle | signing-in | signed-in
+  const [userInfo, setUserInfo]       = useState(null);
+  const [syncStatus, setSyncStatus]   = useState(""); // "" | syncing | synced | error | offline
+  const [offline, setOffline]         = useState(() => !navigator.onLine);
+  const [syncedAt, setSyncedAt]       = useState({}); // date → ISO time its bookings were last synced
+  const [queue, setQueue]             = useState([]); // offline actions waiting to be sent
+  const [lastSynced, setLastSynced]   = useState(null);
+  const [roomCalStatus, setRoomCalStatus] = useState({}); // roomId → "ok"|"error"
+  const [modal, setModal]             = useState(null); // booking modal
+  const [viewModal, setViewModal]     = useState(null); // view-booking modal
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [confirmCancel, setConfirmCancel] = useState(null);
+  const [form, setForm]               = useState({ name: "", email: "", title: "", endHour: "", emailInput: "", emails: [], online: null, services: null, recurrence: defaultRecurrence(todayStr()) });
+  const [isLoading, setIsLoading]     = useState(false);
+  const [toast, setToast]             = useState(null);
+  const [peopleSugg, setPeopleSugg]   = useState([]);
+  const [showSugg, setShowSugg]       = useState(false);
+  const [currentTime, setCurrentTime] = useState(() => new Date());
+  const [availability, setAvailability] = useState({}); // email → 0=free|1=tentative|2=busy
+  const [seriesCheck, setSeriesCheck] = useState(null); // { status: checking|done|error, conflicts }
+  const [myBookings, setMyBookings]   = useState(null); // booker's active bookings, for policy quotas: { key, items }
+  const [finder, setFinder]           = useState(null); // room finder panel
+  const [timeSuggest, setTimeSuggest] = useState(null); // { key, status: loading|done|error, items, emptyReason }
+  const [checkIns, setCheckIns]       = useState(loadCheckIns); // check-in / release log
+  const [declines, setDeclines]       = useState([]); // our bookings a room turned down (see findDeclines)
+  const [dismissed, setDismissed]     = useState(loadDismissedDeclines); // eventId → date of declines waved away
+  const [holds, setHolds]             = useState([]); // our holds in approval rooms (see findHolds)
+  const [approvals, setApprovals]     = useState(null); // approver queue: { open, status: loading|done|error, items, comments }
+  const [myPanel, setMyPanel]         = useState(null); // My bookings panel: { weeks, status: loading|done|error, items, selected, confirm }
+  const [panelTarget, setPanelTarget] = useState(null); // { item, action: view|edit } waiting for its day to load
+  const [analytics, setAnalytics]     = useState(null); // usage report: { from, to, status: loading|done|error, report }
+  const [exporter, setExporter]       = useState(null); // export dialog: { roomId, from, to, status }
+  const [servicesView, setServicesView] = useState(null); // facilities list for the dates on screen: { status: sending|sent|"" }
+  const [facilitiesList, setFacilitiesList] = useState(null); // { key, items } from the facilities calendar; items null when unreadable
+
+  const searchTimer  = useRef(null);
+  const refreshTimer = useRef(null);
+  const today        = todayStr();
+  const { rooms, hours } = catalog;
+  const displayZone  = getTimezone();
+  const timeSlots    = useMemo(() => buildTimeSlots(hours, rooms, activeDate, displayZone), [hours, rooms, activeDate, displayZone]);
+
+  // URL params (Teams single-room tab)
+  const roomFilter   = new URLSearchParams(window.location.search).get("room");
+  const needs        = normalizeAmenities(settings.amenities);
+  const visibleRooms = roomFilter ? rooms.filter(r => r.id === roomFilter) : rooms.filter(r => hasAmenities(r, needs));
+  const amenityKeys  = Object.keys(AMENITIES).filter(k => rooms.some(r => r.amenities.includes(k)));
+
+  const currentBookings = dateBookings[activeDate] || emptyDay(rooms);
+  const visibleDates    = viewMode === "week" ? weekDates(activeDate, settings.showWeekends) : [activeDate];
+  const hasRoomEmails   = rooms.some(r => roomMailbox(r, settings).includes("@"));
+
+  // ── Toast ──
+  const showToast = useCallback((msg, type = "success") => {
+    setToast({ msg, type });
+    setTimeout(() => setToast(null), 4500);
+  }, []);
+
+  // ── Room catalog ──
+  useEffect(() => {
+    (async () => {
+      try {
+        const next = await fetchRoomCatalog();
+        setCatalog(next);
+        persistCatalog(next);
+      } catch (e) {
+        // Keep the cached catalog (if any) so the app still works offline.
+        showToast("Couldn't load room catalog: " + e.message, "error");
+      }
+    })();
+  }, [showToast]);
+
+  const discoverRooms = catalog.discoverFromGraph;
+  useEffect(() => {
+    if (!discoverRooms || authState !== "signed-in") return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const found = await discoverGraphRooms();
+        if (cancelled || !found.length) return;
+        setCatalog(prev => {
+          const merged = { ...prev, rooms: mergeCatalog(prev.rooms, found) };
+          persistCatalog(merged);
+          return merged;
+        });
+      } catch { /* discovery is best-effort — keep the listed rooms */ }
+    })();
+    return () => { cancelled = true; };
+  }, [discoverRooms, authState]);
+
+  // ── Current time clock ──
+  useEffect(() => {
+    const t = setInterval(() => {
+      setCurrentTime(new Date());
+      if (KIOSK_ROOM) setActiveDate(todayStr()); // displays roll over to the new day on their own
+    }, 30_000);
+    return () => clearInterval(t);
+  }, []);
 
   // ── Attendee availability ──
   useEffect(() => {
@@ -406,51 +2115,173 @@ export default function App() {
     return () => { cancelled = true; };
   }, [form.emails, form.endHour, modal, activeDate, authState]);
 
+  // ── Recurring series conflicts ──
+  const occurrences = modal ? expandOccurrences(form.recurrence, activeDate) : [];
+  const occurrenceKey = occurrences.join(",");
+  useEffect(() => {
+    const room  = modal && rooms.find(r => r.id === modal.roomId);
+    const email = room ? roomMailbox(room, settings) : "";
+    if (!modal || form.recurrence.pattern === "none" || !form.endHour || authState !== "signed-in"
+        || !email.includes("@") || occurrences.length > MAX_OCCURRENCES) {
+      setSeriesCheck(null);
+      return;
+    }
+    let cancelled = false;
+    setSeriesCheck({ status: "checking", conflicts: [] });
+    const t = setTimeout(async () => {
+      try {
+        const conflicts = await findRoomConflicts(email, occurrences, modal.startHour, form.endHour);
+        if (!cancelled) setSeriesCheck({ status: "done", conflicts });
+      } catch {
+        if (!cancelled) setSeriesCheck({ status: "error", conflicts: [] });
+      }
+    }, 400);
+    return () => { cancelled = true; clearTimeout(t); };
+  // occurrenceKey captures every recurrence field that changes the date list.
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [occurrenceKey, form.endHour, modal, authState, settings, rooms]);
+
+  // ── Booking policy ──
+  // A new series is checked occurrence by occurrence; an edit only ever moves one date.
+  const bookingDates = modal && !modal.edit ? occurrences.slice(0, MAX_OCCURRENCES) : [activeDate];
+  // Quotas need the booker's bookings in every week the modal's dates touch.
+  const quotaFrom = modal && (catalog.policy.maxPerDay || catalog.policy.maxPerWeek)
+    ? [weekOf(bookingDates[0]), today].sort()[1] : "";
+  const quotaTo   = quotaFrom && addDays(weekOf(bookingDates[bookingDates.length - 1]), 6);
+  const quotaKey  = quotaFrom && `${quotaFrom}|${quotaTo}`;
+  const quotaMine = myBookings?.key === quotaKey ? myBookings.items : null; // null until loaded for these weeks
+  useEffect(() => {
+    if (!quotaKey || authState !== "signed-in") { setMyBookings(null); return; }
+    let cancelled = false;
+    fetchMyBookings(rooms, quotaFrom, quotaTo)
+      .then(items => { if (!cancelled) setMyBookings({ key: quotaKey, items }); })
+      .catch(() => { /* handleBook fetches again before saving */ });
+    return () => { cancelled = true; };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [quotaKey, authState, rooms]);
+
+  // What the booking in the modal would break; shown in the modal and enforced on save.
+  // A title or attendee change leaves the room and time alone, so it isn't re-checked.
+  // mine: the booker's bookings for quotas, or null to leave quotas out.
+  const checkPolicy = (mine) => {
+    if (!modal || !form.endHour || form.endHour <= modal.startHour) return [];
+    const { edit } = modal;
+    if (edit && modal.roomId === edit.roomId && modal.startHour === edit.booking.startHour && form.endHour === edit.booking.endHour) return [];
+    const self = edit ? [edit.booking.outlookEventId, edit.booking.iCalUId, edit.eventId].filter(Boolean) : [];
+    return policyViolations(catalog.policy, rooms.find(r => r.id === modal.roomId), {
+      dates:     bookingDates,
+      startHour: modal.startHour,
+      endHour:   form.endHour,
+      mine:      mine && mine.filter(b => b.roomStatus !== "declined" && !self.includes(b.id) && !self.includes(b.iCalUId)),
+    });
+  };
+  const policyErrors = checkPolicy(quotaMine);
+
   // ── Sync ──
-  const doSync = useCallback(async (date, settingsOverride) => {
+  // Loads `date` (or the inclusive range date…endDate) with one calendarView delta per room.
+  const layoutRef   = useRef("");  // room list the grid was last built with
+  const lastStatRef = useRef({});  // previous roomCalStatus, to spot rooms changing source
+  const doSync = useCallback(async (date, settingsOverride, endDate = date) => {
     const s = settingsOverride ?? settings;
-    const roomEmails = s.roomEmails || {};
+    const roomEmails = Object.fromEntries(rooms.map(r => [r.id, roomMailbox(r, s)]));
     setSyncStatus("syncing");
     try {
-      const slots   = initSlots();
+      const dates   = dateRange(date, endDate);
+      const byDate  = Object.fromEntries(dates.map(d => [d, emptyDay(rooms)]));
       const statMap = {};
+      const changed = {}; // roomId → Set of dates whose events changed
+      const eventsOn = (evts, d) => evts.filter(ev => eventDates(ev, d, d).length);
+      const shared   = {}; // check-in state other copies of the app wrote to the events
 
-      // 1. Try room resource calendars (shared visibility for entire org)
-      for (const room of ROOMS) {
-        const email = roomEmails[room.id];
-        if (!email || !email.includes("@")) continue;
-        try {
-          const evts = await fetchRoomCalendar(email, date);
-          slots[room.id] = buildRoomSlots(evts);
-          statMap[room.id] = "ok";
-        } catch {
+      // 1. Room resource calendars (shared visibility for entire org), batched together
+      // with our own calendar, which carries each room's answer to our invites.
+      const calendars = {};
+      rooms.forEach(r => { if (roomEmails[r.id]?.includes("@")) calendars[r.id] = `/users/${encodeURIComponent(roomEmails[r.id])}`; });
+      calendars[OWN_CALENDAR] = "/me";
+      const usesOwn = r => !calendars[r.id] || statMap[r.id] === "error";
+      const results = await fetchCalendarDeltas(calendars, date, endDate);
+
+      for (const room of rooms) {
+        const result = calendars[room.id] && results[room.id];
+        if (!result) continue;
+        if (result.error) {
+          if (isOfflineError(result.error)) throw result.error; // keep the saved schedule rather than show empty rooms
           statMap[room.id] = "error";
+          continue;
         }
+        dates.forEach(d => { byDate[d][room.id] = buildRoomBookings(eventsOn(result.events, d), roomEmails[room.id], d); });
+        Object.assign(shared, sharedCheckIns(result.events, () => room));
+        changed[room.id] = result.changedDates;
+        statMap[room.id] = "ok";
       }
 
-      // 2. For rooms without room-calendar data, fall back to own calendar
-      const needsOwn = ROOMS.some(r => !roomEmails[r.id] || statMap[r.id] === "error");
-      if (needsOwn) {
-        try {
-          const ownEvts  = await fetchOwnCalendar(date);
-          const ownSlots = buildSlotsFromOwnCalendar(ownEvts);
-          ROOMS.forEach(r => {
-            if (!roomEmails[r.id] || statMap[r.id] === "error") {
-              slots[r.id] = ownSlots[r.id];
-            }
+      // 2. Our own bookings: all of them for rooms without room-calendar data; for the
+      // rest, the ones still waiting on the room. Declined ones go to the banner.
+      const own = results[OWN_CALENDAR];
+      if (own.error && isOfflineError(own.error)) throw own.error;
+      if (!own.error) {
+        const tagged = own.events.filter(isBookingEvent);
+        Object.assign(shared, sharedCheckIns(tagged, evt => bookedRoom(evt, rooms)));
+        dates.forEach(d => {
+          const ownBookings = buildBookingsFromOwnCalendar(eventsOn(tagged, d), rooms, d);
+          rooms.forEach(r => {
+            if (usesOwn(r)) { byDate[d][r.id] = ownBookings[r.id]; return; }
+            const inRoom = new Map(Object.values(byDate[d][r.id]).map(b => [b.iCalUId, b]));
+            Object.values(ownBookings[r.id]).forEach(b => {
+              const roomCopy = inRoom.get(b.iCalUId);
+              if (!roomCopy) byDate[d][r.id][b.key] = b;
+              else roomCopy.services ||= b.services; // rooms often strip bodies, and the services with them
+            });
           });
-        } catch { /* ignore */ }
+        });
+        rooms.forEach(r => { changed[r.id] = new Set([...(changed[r.id] || []), ...own.changedDates]); });
+        const found = findDeclines(tagged, rooms);
+        const inRange = x => x.date >= date && x.date <= endDate;
+        setDeclines(prev => [...prev.filter(x => !inRange(x)), ...found]);
       }
 
+      // 3. Apply only what changed. A new room list, or a room switching between its
+      // own calendar and the fallback, replaces that room's bookings outright.
+      const layout   = rooms.map(r => r.id).join();
+      const relayout = layoutRef.current !== layout;
+      const switched = rooms.filter(r => lastStatRef.current[r.id] !== statMap[r.id]).map(r => r.id);
+      layoutRef.current   = layout;
+      lastStatRef.current = statMap;
+      setDateBookings(prev => {
+        const next = { ...prev };
+        dates.forEach(d => {
+          if (!prev[d] || relayout) { next[d] = byDate[d]; return; }
+          const day = { ...prev[d] };
+          rooms.forEach(r => {
+            if (!day[r.id] || switched.includes(r.id) || changed[r.id]?.has(d)) day[r.id] = byDate[d][r.id];
+          });
+          next[d] = day;
+        });
+        return next;
+      });
+
+      setCheckIns(prev => Object.entries(shared).some(([k, e]) => prev[k]?.state !== e.state) ? { ...prev, ...shared } : prev);
+
+      const stamp = new Date().toISOString();
       setRoomCalStatus(statMap);
-      setDateBookings(prev => ({ ...prev, [date]: slots }));
+      setSyncedAt(prev => ({ ...prev, ...Object.fromEntries(dates.map(d => [d, stamp])) }));
+      setOffline(false);
       setSyncStatus("synced");
       setLastSynced(new Date());
+      return byDate;
     } catch (e) {
+      if (isOfflineError(e)) {
+        setOffline(true);
+        setSyncStatus("offline");
+        return null;
+      }
       setSyncStatus("error");
+      // Wall displays keep retrying on their own; people get the Connect button back.
+      if (e.kind === "auth-required" && !KIOSK_ROOM) setAuthState("idle");
       showToast("Sync failed: " + e.message, "error");
+      return null;
     }
-  }, [settings, showToast]);
+  }, [settings, rooms, showToast]);
 
   // ── Auth init ──
   useEffect(() => {
@@ -505,34 +2336,76 @@ export default function App() {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Sync whatever the grid is showing: the active day, or its whole week.
+  const syncView = useCallback((settingsOverride) => {
+    const dates = viewMode === "week" ? weekDates(activeDate, settings.showWeekends) : [activeDate];
+    return doSync(dates[0], settingsOverride, dates[dates.length - 1]);
+  }, [viewMode, activeDate, settings.showWeekends, doSync]);
+
   // ── Auto-refresh ──
   useEffect(() => {
     if (authState !== "signed-in") return;
-    refreshTimer.current = setInterval(() => doSync(activeDate), AUTO_REFRESH_MS);
+    refreshTimer.current = setInterval(() => syncView(), AUTO_REFRESH_MS);
     return () => clearInterval(refreshTimer.current);
-  }, [activeDate, authState, doSync]);
+  }, [authState, syncView]);
 
   // ── Sync on tab focus ──
   useEffect(() => {
     const handler = () => {
-      if (!document.hidden && authState === "signed-in") doSync(activeDate);
+      if (!document.hidden && authState === "signed-in") syncView();
     };
     document.addEventListener("visibilitychange", handler);
     return () => document.removeEventListener("visibilitychange", handler);
-  }, [activeDate, authState, doSync]);
+  }, [authState, syncView]);
 
-  // ── Sign in ──
-  const signIn = async () => {
+  // ── Offline cache ──
+  // Saved schedules fill the grid until (or instead of) the first successful sync.
+  useEffect(() => {
+    (async () => {
+      try {
+        const [rows, pending] = await Promise.all([loadSchedules(), loadQueue()]);
+        // Older rows hold per-slot maps, and rows from another display zone show the wrong times.
+        const saved = rows.filter(r => r.bookings && r.timeZone === getTimezone());
+        setDateBookings(prev => ({ ...Object.fromEntries(saved.map(r => [r.date, r.bookings])), ...prev }));
+        setSyncedAt(prev => ({ ...Object.fromEntries(saved.map(r => [r.date, r.syncedAt])), ...prev }));
+        setQueue(pending);
+      } catch { /* no IndexedDB (e.g. private browsing) — online only */ }
+    })();
+  }, []);
+
+  // Only dates that have synced at least once are worth keeping.
+  useEffect(() => {
+    const dates = Object.keys(dateBookings).filter(d => syncedAt[d]);
+    if (!dates.length) return;
+    saveSchedules(Object.fromEntries(dates.map(d => [d, dateBookings[d]])), syncedAt).catch(() => {});
+  }, [dateBookings, syncedAt]);
+
+  useEffect(() => {
+    const goOnline  = () => setOffline(false);
+    const goOffline = () => { setOffline(true); setSyncStatus("offline"); };
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+
+  // Replay queued changes whenever we're signed in and the connection is back.
+  useEffect(() => {
+    if (authState !== "signed-in" || offline || !queue.length) return;
+    replayQueue();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [authState, offline, queue.length]);
+
+  // ── Sign in ──
+  const signIn = async () => {
     setAuthState("signing-in");
     try {
-      const token = await getToken();
-      const res   = await fetch(`${GRAPH_BASE}/me?$select=displayName,mail,userPrincipalName`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      const user = await res.json();
+      const user = await gFetch("/me?$select=displayName,mail,userPrincipalName");
       setUserInfo(user); setAuthState("signed-in");
       showToast(`Welcome, ${user.displayName}`);
-      await doSync(activeDate);
+      await syncView();
     } catch (e) {
       if (!isInTeams()) return; // redirect flow, page navigates away
       setAuthState("idle");
@@ -542,178 +2415,1076 @@ export default function App() {
 
   const signOut = async () => {
     _teamsToken = null; _teamsTokenExpiry = 0;
+    resetCalendarDeltas();
     if (!isInTeams()) { (await getMsal()).logoutRedirect(); }
     setAuthState("idle"); setUserInfo(null); setSyncStatus(""); setLastSynced(null);
-    setDateBookings({ [activeDate]: initSlots() });
+    setDateBookings({}); setDeclines([]); setHolds([]); setApprovals(null); setMyPanel(null);
   };
 
   // ── Navigate date ──
-  const navigateDate = (delta) => {
-    setActiveDate(d => {
-      const next = addDays(d, delta);
-      if (!dateBookings[next]) setDateBookings(p => ({ ...p, [next]: initSlots() }));
-      return next;
-    });
+  const loadView = (date, mode = viewMode, weekends = settings.showWeekends) => {
+    if (authState !== "signed-in") return;
+    const dates = mode === "week" ? weekDates(date, weekends) : [date];
+    doSync(dates[0], undefined, dates[dates.length - 1]);
+  };
+
+  const goToDate = (date) => {
+    setActiveDate(date);
+    loadView(date);
+  };
+
+  const navigateDate = (delta) => goToDate(addDays(activeDate, viewMode === "week" ? delta * 7 : delta));
+
+  const switchView = (mode) => {
+    if (mode === viewMode) return;
+    setViewMode(mode);
+    loadView(activeDate, mode);
+  };
+
+  const toggleWeekends = () => {
+    const next = { ...settings, showWeekends: !settings.showWeekends };
+    setSettings(next);
+    persistSettings(next);
+    loadView(activeDate, viewMode, next.showWeekends);
+  };
+
+  const toggleAmenity = (key) => {
+    const next = { ...settings, amenities: needs.includes(key) ? needs.filter(k => k !== key) : [...needs, key] };
+    setSettings(next);
+    persistSettings(next);
+  };
+
+  const clearAmenities = () => {
+    const next = { ...settings, amenities: [] };
+    setSettings(next);
+    persistSettings(next);
+  };
+
+  const amenityIcons = (room) => room.amenities.map(k => (
+    <span key={k} className="amenity-icon" title={AMENITIES[k].label}>{AMENITIES[k].icon}</span>
+  ));
+
+  // Week view: drill into one day (already loaded with the week).
+  const showDay = (date) => { setViewMode("day"); setActiveDate(date); };
+
+  const openView = (date, room, booking) => {
+    setActiveDate(date);
+    setViewModal({ booking, roomId: room.id, key: booking.key, room });
   };
 
   // ── Open booking modal ──
-  const openModal = (roomId, startHour) => {
-    if (currentBookings[roomId]?.[startHour]) return;
-    if (isPastSlot(activeDate, startHour)) { showToast("Cannot book past time slots", "error"); return; }
-    const hIdx = HOURS.findIndex(h => h.value === startHour);
-    const defaultEnd = HOURS[Math.min(hIdx + 2, HOURS.length - 1)].value; // 1 hr default
+  // prefill: optional form fields (e.g. endHour, emails) from the room finder.
+  const openModal = (roomId, startHour, date = activeDate, prefill = {}) => {
+    if (bookingAt(roomId, date, startHour, fromMins(toMins(startHour) + hours.slotMinutes))) return;
+    if (isPastSlot(date, startHour)) { showToast("Cannot book past time slots", "error"); return; }
+    const room = rooms.find(r => r.id === roomId);
+    const open = roomHoursOn(hours, room, date);
+    if (!open || startHour < open.open || startHour >= open.close) { showToast("The room is closed at that time", "error"); return; }
+    const next = Object.values(dateBookings[date]?.[roomId] || {}).map(b => b.startHour).filter(h => h > startHour).sort()[0];
+    const longest    = roomPolicy(catalog.policy, room).maxDurationMinutes || Infinity;
+    const defaultEnd = fromMins(Math.min(toMins(startHour) + Math.min(60, longest), toMins(open.close), next ? toMins(next) : Infinity)); // 1 hr default
     setForm({
       name: userInfo?.displayName || "",
       email: userInfo?.mail || userInfo?.userPrincipalName || "",
       title: "", endHour: defaultEnd, emailInput: "", emails: [],
+      online: null, // null: follow suggestsOnline() until the organizer picks
+      services: null,
+      recurrence: defaultRecurrence(date),
+      ...prefill,
     });
+    setActiveDate(date);
     setModal({ roomId, startHour });
   };
 
-  // ── Attendee helpers ──
-  const addEmail = (override) => {
-    const e = (override ?? form.emailInput).trim();
-    if (!e) return;
-    if (!isValidEmail(e)) { showToast("Invalid email address", "error"); return; }
-    if (form.emails.includes(e)) { showToast("Already added", "error"); return; }
-    setForm(f => ({ ...f, emails: [...f.emails, e], emailInput: "" }));
-    setPeopleSugg([]); setShowSugg(false);
+  // ── Room finder ──
+  const openFinder = () => setFinder({
+    duration: 60, people: 2, emails: [], emailInput: "",
+    when: "today", date: addDays(today, 1), from: "09:00", to: "17:00", amenities: needs,
+    status: "", results: [],
+  });
+
+  const addFinderEmail = () => {
+    const e = finder.emailInput.trim();
+    if (!e) return;
+    if (!isValidEmail(e)) { showToast("Invalid email address", "error"); return; }
+    if (finder.emails.includes(e)) { setFinder(f => ({ ...f, emailInput: "" })); return; }
+    setFinder(f => ({ ...f, emails: [...f.emails, e], emailInput: "", people: Math.max(f.people, f.emails.length + 2) }));
+  };
+
+  const runFinder = async () => {
+    if (authState !== "signed-in") { showToast("Connect Outlook first to search rooms", "error"); return; }
+    const step  = hours.slotMinutes;
+    const first = toMins(timeSlots[0].value);
+    const last  = toMins(timeSlots[timeSlots.length - 1].end);
+    // Clip to the bookable day and align to the slot grid so availability views line up.
+    const windows = finderWindows(finder, new Date())
+      .map(w => ({
+        date: w.date,
+        from: fromMins(Math.floor(Math.max(toMins(w.from), first) / step) * step),
+        to:   fromMins(Math.min(toMins(w.to), last)),
+      }))
+      .filter(w => w.from < w.to);
+    if (!windows.length) { showToast("No bookable time left in that window", "error"); return; }
+
+    setFinder(f => ({ ...f, status: "searching", results: [] }));
+    const loaded = await doSync(windows[0].date, undefined, windows[windows.length - 1].date);
+    const availability = {};
+    for (const w of windows) {
+      try { availability[w.date] = await getAvailabilityViews(finder.emails, w.date, w.from, w.to, step); }
+      catch { /* rank on room availability alone */ }
+    }
+    const results = rankRoomOptions({
+      rooms, hours, windows, availability,
+      policy:   catalog.policy,
+      bookingsByDate: { ...dateBookings, ...(loaded || {}) },
+      people:   Math.max(+finder.people || 1, finder.emails.length + 1),
+      duration: +finder.duration,
+      amenities: finder.amenities,
+      nowHour:  wallClock().time,
+    });
+    setFinder(f => f && ({ ...f, status: "done", results }));
+  };
+
+  const pickFinderResult = (opt) => {
+    const emails = finder.emails;
+    setFinder(null);
+    openModal(opt.room.id, opt.startHour, opt.date, { endHour: opt.endHour, emails });
+  };
+
+  // ── Attendee helpers ──
+  const addEmail = (override) => {
+    const e = (override ?? form.emailInput).trim();
+    if (!e) return;
+    if (!isValidEmail(e)) { showToast("Invalid email address", "error"); return; }
+    if (form.emails.includes(e)) { showToast("Already added", "error"); return; }
+    setForm(f => ({ ...f, emails: [...f.emails, e], emailInput: "" }));
+    setPeopleSugg([]); setShowSugg(false);
+  };
+
+  const selectSugg = (person) => {
+    if (form.emails.includes(person.email)) { showToast("Already added", "error"); return; }
+    setForm(f => ({ ...f, emails: [...f.emails, person.email], emailInput: "" }));
+    setPeopleSugg([]); setShowSugg(false);
+  };
+
+  const handleAttInput = (val) => {
+    setForm(f => ({ ...f, emailInput: val }));
+    clearTimeout(searchTimer.current);
+    if (val.length < 2 || authState !== "signed-in") { setPeopleSugg([]); setShowSugg(false); return; }
+    searchTimer.current = setTimeout(async () => {
+      const results = await searchPeople(val);
+      setPeopleSugg(results); setShowSugg(results.length > 0);
+    }, 300);
+  };
+
+  const removeEmail = e => setForm(f => ({ ...f, emails: f.emails.filter(x => x !== e) }));
+
+  // ── Apply quick duration ──
+  const applyDuration = (minutes) => {
+    if (!modal) return;
+    const open = roomHoursOn(hours, rooms.find(r => r.id === modal.roomId), activeDate);
+    if (!open) return;
+    setForm(f => ({ ...f, endHour: fromMins(Math.min(toMins(modal.startHour) + minutes, toMins(open.close))) }));
+  };
+
+  // ── Recurrence helpers ──
+  const setRecurrence = (patch) => setForm(f => ({ ...f, recurrence: { ...f.recurrence, ...patch } }));
+
+  const toggleWeekday = (day) => setForm(f => {
+    const days = f.recurrence.daysOfWeek;
+    const next = days.includes(day) ? days.filter(d => d !== day) : [...days, day];
+    return { ...f, recurrence: { ...f.recurrence, daysOfWeek: WEEKDAYS.filter(d => next.includes(d)) } };
+  });
+
+  const validateRecurrence = (rec) => {
+    if (rec.pattern === "none") return null;
+    if (!(+rec.interval >= 1)) return "Repeat interval must be at least 1";
+    if (rec.pattern === "weekly" && !rec.daysOfWeek.includes(weekdayOf(activeDate)))
+      return `Weekly series must include ${formatShortDate(activeDate).split(",")[0]}, the first occurrence`;
+    if (rec.endType === "date" && (!rec.endDate || rec.endDate < activeDate)) return "Series end date must be on or after the start date";
+    if (rec.endType === "count" && !(+rec.count >= 1)) return "Number of occurrences must be at least 1";
+    if (occurrences.length > MAX_OCCURRENCES) return `A series can have at most ${MAX_OCCURRENCES} occurrences`;
+    return null;
+  };
+
+  // ── Slot helpers ──
+  // True if a booking other than ignoreId overlaps [startHour, endHour).
+  const hasSlotConflict = (roomId, startHour, endHour, ignoreId) =>
+    Object.values(currentBookings[roomId] || {}).some(b =>
+      overlaps(b, startHour, endHour) && (!ignoreId || b.outlookEventId !== ignoreId)
+    );
+
+  // First booking in the room overlapping [startHour, endHour) on `date`.
+  const bookingAt = (roomId, date, startHour, endHour) =>
+    Object.values(dateBookings[date]?.[roomId] || {}).find(b => overlaps(b, startHour, endHour)) || null;
+
+  const withBooking = (roomBookings, startHour, endHour, info) =>
+    placeBooking({ ...roomBookings }, { ...info, startHour, endHour, allDay: false });
+
+  const isSlotOpen = (room, date, slot) => isWithinHours(hours, room, date, slot.value, slot.end);
+
+  // End times run from one slot after the start up to the room's closing time.
+  const endOptionsFor = (room, date, startHour, current) => {
+    const open = roomHoursOn(hours, room, date);
+    if (!open) return [];
+    const opts = [];
+    for (let m = toMins(startHour) + hours.slotMinutes; m <= toMins(open.close); m += hours.slotMinutes) opts.push(fromMins(m));
+    if (current && current > startHour && !opts.includes(current)) opts.push(current);
+    return opts.sort().map(value => ({ value, label: timeLabel(value) }));
+  };
+
+  // Rooms big enough for `people`, with the amenities filter, open and free for the window, smallest first.
+  const roomsThatFit = (people, startHour, endHour, excludeId, ignoreId) => rooms
+    .filter(r => r.id !== excludeId && r.capacity >= people && hasAmenities(r, needs)
+      && isWithinHours(hours, r, activeDate, startHour, endHour)
+      && !hasSlotConflict(r.id, startHour, endHour, ignoreId))
+    .sort((a, b) => a.capacity - b.capacity);
+
+  // Capacity 0 means unknown (e.g. a discovered room without metadata) — never enforced.
+  const isOverCapacity = (room, people) => room.capacity > 0 && people > room.capacity;
+
+  const checkHours = (room, startHour, endHour) => {
+    if (isWithinHours(hours, room, activeDate, startHour, endHour)) return null;
+    const open = roomHoursOn(hours, room, activeDate);
+    return open
+      ? `${room.name} can only be booked ${timeLabel(open.open)} – ${timeLabel(open.close)} on ${formatShortDate(activeDate)}`
+      : `${room.name} is closed on ${formatShortDate(activeDate)}`;
+  };
+
+  // ── Suggest times (findMeetingTimes) ──
+  // Results only apply to the room, day, attendees and length they were asked for.
+  const suggestKey = modal
+    ? [modal.roomId, activeDate, form.emails.join(","), form.endHour ? toMins(form.endHour) - toMins(modal.startHour) : 0].join("|")
+    : "";
+
+  const suggestTimes = async () => {
+    const room = rooms.find(r => r.id === modal.roomId);
+    const open = roomHoursOn(hours, room, activeDate);
+    if (!open) { showToast(`${room.name} is closed on ${formatShortDate(activeDate)}`, "error"); return; }
+    const step    = hours.slotMinutes;
+    const minutes = form.endHour ? toMins(form.endHour) - toMins(modal.startHour) : 60;
+    let from = toMins(open.open);
+    if (activeDate === todayStr()) from = Math.max(from, Math.ceil(wallClock().mins / step) * step);
+    if (from + minutes > toMins(open.close)) { showToast("No time left today for a meeting that long", "error"); return; }
+
+    const key = suggestKey;
+    setTimeSuggest({ key, status: "loading", items: [] });
+    try {
+      const { suggestions, emptyReason } = await findMeetingTimes({
+        emails:    form.emails,
+        roomName:  room.name,
+        roomEmail: roomMailbox(room, settings),
+        date:      activeDate,
+        startHour: fromMins(from),
+        endHour:   open.close,
+        minutes,
+      });
+      const ignoreId = modal.edit?.booking.outlookEventId;
+      const items = suggestions.filter(s =>
+        toMins(s.startHour) % step === 0 &&
+        !checkHours(room, s.startHour, s.endHour) &&
+        !hasSlotConflict(room.id, s.startHour, s.endHour, ignoreId)
+      ).slice(0, 5);
+      setTimeSuggest({ key, status: "done", items, emptyReason });
+    } catch {
+      setTimeSuggest({ key, status: "error", items: [] });
+    }
+  };
+
+  const applySuggestion = (s) => {
+    setModal(m => ({ ...m, startHour: s.startHour }));
+    setForm(f => ({ ...f, endHour: s.endHour }));
+  };
+
+  // ── Edit booking ──
+  const openEdit = async (roomId, key) => {
+    const booking = currentBookings[roomId]?.[key];
+    if (!booking) return;
+    const myEmail = userInfo?.mail || userInfo?.userPrincipalName || "";
+    setForm({
+      name:  booking.organizer || booking.name || userInfo?.displayName || "",
+      email: booking.organizerEmail || myEmail,
+      title: booking.title || "", endHour: booking.endHour, emailInput: "", emails: booking.emails || [],
+      online: !!booking.joinUrl, // an edit never turns Teams on by itself
+      services: booking.services || null,
+      recurrence: defaultRecurrence(activeDate),
+    });
+    setModal({ roomId, startHour: booking.startHour, edit: { roomId, key, booking, eventId: null } });
+    setViewModal(null);
+    try {
+      // Load the organizer's copy: room-calendar bookings carry neither the real title nor attendees.
+      const eventId = await resolveOwnEventId(booking, activeDate);
+      const evt     = await gFetch(`/me/events/${eventId}?$select=subject,body,attendees,isOnlineMeeting`);
+      const skip    = [myEmail, booking.organizerEmail, ...rooms.flatMap(r => [r.mailbox, ...r.approvers])]
+        .filter(Boolean).map(e => e.toLowerCase());
+      const emails  = (evt?.attendees || [])
+        .filter(a => a.type !== "resource")
+        .map(a => a.emailAddress?.address || "")
+        .filter(e => isValidEmail(e) && !skip.includes(e.toLowerCase()));
+      const services = servicesOf(evt);
+      setForm(f => ({ ...f, title: evt?.subject || f.title, emails, online: f.online || !!evt?.isOnlineMeeting, services }));
+      setModal(m => m?.edit?.booking === booking ? { ...m, edit: { ...m.edit, eventId, online: !!evt?.isOnlineMeeting, services } } : m);
+    } catch (e) {
+      setModal(m => m?.edit?.booking === booking ? null : m);
+      showToast("Couldn't load booking for editing: " + e.message, "error");
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    const { edit } = modal;
+    const room     = rooms.find(r => r.id === modal.roomId);
+    const moved    = modal.roomId !== edit.roomId;
+    const hoursError = checkHours(room, modal.startHour, form.endHour);
+    if (hoursError) { showToast(hoursError, "error"); return; }
+    if (hasSlotConflict(modal.roomId, modal.startHour, form.endHour, edit.booking.outlookEventId)) {
+      showToast(`That time overlaps another booking in ${room.name}`, "error");
+      return;
+    }
+
+    setIsLoading(true);
+    const title = form.title || `[${room.name}] ${form.name}`;
+    if (await recheckRoom(room, activeDate, modal.startHour, form.endHour, edit.booking.iCalUId || edit.booking.outlookEventId)) { setIsLoading(false); return; }
+    // A new room or time needs approving again; a title or attendee change doesn't.
+    const retimed   = modal.startHour !== edit.booking.startHour || form.endHour !== edit.booking.endHour;
+    const approvers = moved || retimed || edit.booking.tentative ? approversFor(room) : [];
+    const details = {
+      roomName:     room.name,
+      roomEmail:    room.mailbox,
+      bookerName:   form.name,
+      bookerEmail:  form.email,
+      emailList:    form.emails,
+      date:         activeDate,
+      startHour:    modal.startHour,
+      endHour:      form.endHour,
+      meetingTitle: title,
+      approvers,
+      online:       form.online || !!modal.edit.online,
+      services:     normalizeServices(form.services),
+      facilitiesEmail: catalog.facilities.mailbox,
+    };
+    let joinUrl = edit.booking.joinUrl || null;
+    try {
+      const evt = await updateOutlookEvent(edit.eventId, details);
+      joinUrl = evt?.onlineMeeting?.joinUrl || joinUrl;
+    } catch (e) {
+      setIsLoading(false);
+      showToast("Couldn't update booking: " + e.message, "error");
+      return;
+    }
+
+    const oldBookings = { ...currentBookings[edit.roomId] };
+    delete oldBookings[edit.key];
+    const info = {
+      ...edit.booking,
+      title, emails: form.emails, attendeeCount: form.emails.length,
+      tentative: approvers.length > 0,
+      joinUrl,
+      services: details.services,
+      // A moved booking now lives in our calendar until the new room accepts it.
+      ...(moved ? { outlookEventId: edit.eventId, mailbox: undefined, synced: false, roomStatus: room.mailbox ? "pending" : null } : {}),
+    };
+    const base = { ...currentBookings, [edit.roomId]: oldBookings };
+    const updated = withBooking(base[modal.roomId], modal.startHour, form.endHour, info);
+    setDateBookings(prev => ({ ...prev, [activeDate]: { ...base, [modal.roomId]: updated } }));
+    setModal(null);
+    setIsLoading(false);
+    showToast((moved ? `Moved to ${room.name} · Attendees notified` : "Booking updated · Attendees notified")
+      + (approvers.length ? " · Sent for approval" : ""));
+    // Facilities hear about a changed request, or an unchanged one that moved.
+    const before = edit.services ?? edit.booking.services ?? null;
+    if (!sameServices(before, details.services) || (details.services && (moved || retimed))) {
+      await tellFacilities(!before ? "new" : !details.services ? "cancelled" : "changed",
+        facilitiesBooking(details), details.services || before);
+    }
+  };
+
+  // The grid can be a minute old: read the room's calendar once more right before
+  // writing, so two people can't take the same time. Returns the clash (after
+  // telling the user and refreshing), or null. A failed read doesn't block: the
+  // write then fails or queues on its own, and the room declines any clash itself.
+  const recheckRoom = async (room, date, startHour, endHour, ignoreId) => {
+    const mailbox = roomMailbox(room, settings);
+    if (!mailbox.includes("@")) return null;
+    let clash = null;
+    try { [clash] = await findRoomConflicts(mailbox, [date], startHour, endHour, ignoreId); }
+    catch { return null; }
+    if (!clash) return null;
+    showToast(`${room.name} was just booked by ${clash.name} (${timeLabel(clash.startHour)} – ${timeLabel(clash.endHour)}). Pick another time or room.`, "error");
+    doSync(date);
+    return clash;
+  };
+
+  // ── Confirm booking ──
+  const handleBook = async () => {
+    if (!form.name.trim()) { showToast("Your name is required", "error"); return; }
+    if (!form.endHour || form.endHour <= modal.startHour) { showToast("End time must be after start time", "error"); return; }
+    const bookRoom = rooms.find(r => r.id === modal.roomId);
+    const people   = countHeadcount(form.email, form.emails);
+    if (catalog.capacityPolicy === "block" && isOverCapacity(bookRoom, people)) {
+      showToast(`${bookRoom.name} fits ${bookRoom.capacity} — this meeting has ${people} people. Pick a bigger room.`, "error");
+      return;
+    }
+    let errors = policyErrors;
+    if (quotaKey && !quotaMine) {
+      // Quotas are never skipped: load the booker's bookings now if they aren't in yet.
+      setIsLoading(true);
+      try {
+        const items = await fetchMyBookings(rooms, quotaFrom, quotaTo);
+        setMyBookings({ key: quotaKey, items });
+        errors = checkPolicy(items);
+      } catch (e) {
+        showToast("Couldn't check your booking limits: " + e.message, "error");
+        return;
+      } finally {
+        setIsLoading(false);
+      }
+    }
+    if (errors.length) { showToast(errors[0], "error"); return; }
+    if (modal.edit) { await handleSaveEdit(); return; }
+    const hoursError = checkHours(bookRoom, modal.startHour, form.endHour);
+    if (hoursError) { showToast(hoursError, "error"); return; }
+    const recError = validateRecurrence(form.recurrence);
+    if (recError) { showToast(recError, "error"); return; }
+    const recurrence = buildRecurrence(form.recurrence, activeDate);
+
+    // Conflict check (in case someone else booked while modal was open)
+    if (hasSlotConflict(modal.roomId, modal.startHour, form.endHour)) {
+      showToast("This slot was just booked by someone else. Please refresh.", "error");
+      setModal(null);
+      await doSync(activeDate);
+      return;
+    }
+
+    const room = rooms.find(r => r.id === modal.roomId);
+    setIsLoading(true);
+    let outlookEventId = null;
+    let joinUrl        = null;
+    let outlookError   = null;
+    let queued         = false;
+    const details = {
+      roomName: room.name,
+      roomEmail: room.mailbox,
+      bookerName: form.name,
+      bookerEmail: form.email,
+      emailList:   form.emails,
+      date:        activeDate,
+      startHour:   modal.startHour,
+      endHour:     form.endHour,
+      meetingTitle: form.title || `[${room.name}] ${form.name}`,
+      timeZone:    getTimezone(), // a queued booking keeps its zone even if the display zone changes
+      approvers:   approversFor(room),
+      online:      form.online ?? suggestsOnline(room, form.email, form.emails),
+      services:    normalizeServices(form.services),
+      facilitiesEmail: catalog.facilities.mailbox,
+    };
+    const queueCreate = async () => {
+      await queueOffline({ type: "create", roomId: room.id, date: activeDate, startHour: modal.startHour, endHour: form.endHour, details });
+      queued = true;
+    };
+
+    if (offline && recurrence) {
+      showToast("Recurring bookings need a connection — try again once you're back online", "error");
+      setIsLoading(false);
+      return;
+    }
+    if (offline) await queueCreate();
+    else if (authState === "signed-in") {
+      if (await recheckRoom(room, activeDate, modal.startHour, form.endHour)) { setIsLoading(false); return; }
+      try {
+        const evt = await createOutlookEvent({ ...details, recurrence });
+        outlookEventId = evt?.id;
+        joinUrl        = evt?.onlineMeeting?.joinUrl || null;
+      } catch (e) {
+        if (isOfflineError(e) && !recurrence) { setOffline(true); await queueCreate(); }
+        else outlookError = e.message;
+      }
+    }
+
+    // Optimistically update UI
+    const updated = withBooking(currentBookings[modal.roomId], modal.startHour, form.endHour, {
+      name:          form.name,
+      title:         form.title || `[${room.name}] ${form.name}`,
+      organizer:     form.name,
+      organizerEmail: form.email,
+      emails:        form.emails,
+      outlookEventId,
+      attendeeCount: form.emails.length,
+      seriesMasterId: recurrence ? outlookEventId : null,
+      roomStatus:    outlookEventId && room.mailbox ? "pending" : null,
+      tentative:     details.approvers.length > 0,
+      joinUrl,
+      services:      details.services,
+      synced:        !!outlookEventId,
+      queued,
+    });
+    setDateBookings(prev => ({ ...prev, [activeDate]: { ...currentBookings, [modal.roomId]: updated } }));
+    setModal(null);
+    setIsLoading(false);
+
+    if (queued) showToast(`${room.name} saved offline — it will be booked when you're back online`);
+    else if (outlookError) showToast(`Booked. Outlook error: ${outlookError}`, "error");
+    else if (details.approvers.length) showToast(`${room.name} requested — it's held for you until an approver responds`);
+    else showToast(`${room.name} booked!${recurrence ? ` · ${occurrences.length} occurrences` : ""}${outlookEventId ? " · Invite sent" : ""}${joinUrl ? " · Teams link added" : ""}`);
+    // Queued bookings tell facilities once they reach Outlook.
+    if (outlookEventId) await tellFacilities("new", facilitiesBooking(details, recurrence ? describeRecurrence(form.recurrence) : ""), details.services);
+  };
+
+  // ── Facilities ──
+  // Email facilities about a booking's services. A failure is reported but never
+  // undoes the booking change it belongs to. Returns false when the email failed.
+  const tellFacilities = async (change, booking, services) => {
+    const mailbox = catalog.facilities.mailbox;
+    if (!mailbox || !services) return true;
+    try { await notifyFacilities(mailbox, change, booking, services); return true; }
+    catch (e) { showToast("Saved, but facilities weren't emailed: " + e.message, "error"); return false; }
+  };
+
+  // The full list comes from the facilities calendar; the grid's own is the fallback.
+  const servicesKey = `${catalog.facilities.mailbox}|${visibleDates[0]}|${visibleDates[visibleDates.length - 1]}`;
+  useEffect(() => {
+    const mailbox = catalog.facilities.mailbox;
+    if (!mailbox || authState !== "signed-in" || !lastSynced) return;
+    let cancelled = false;
+    fetchFacilitiesServices(mailbox, rooms, visibleDates[0], visibleDates[visibleDates.length - 1])
+      .then(items => { if (!cancelled) setFacilitiesList({ key: servicesKey, items }); })
+      .catch(() => { if (!cancelled) setFacilitiesList({ key: servicesKey, items: null }); });
+    return () => { cancelled = true; };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [servicesKey, authState, lastSynced, rooms]);
+  const servicesComplete = facilitiesList?.key === servicesKey && !!facilitiesList.items;
+  const servicesUnread   = facilitiesList?.key === servicesKey && !facilitiesList.items;
+  const servicesItems    = servicesComplete ? facilitiesList.items : servicesOnDates(visibleDates, rooms, dateBookings);
+
+  const sendServicesList = async () => {
+    setServicesView({ status: "sending" });
+    const span = visibleDates.length > 1 ? `${formatShortDate(visibleDates[0])} – ${formatShortDate(visibleDates[visibleDates.length - 1])}` : formatDate(visibleDates[0]);
+    try {
+      await sendMail({ to: catalog.facilities.mailbox, subject: `Room services · ${span}`, html: servicesListHtml(servicesItems) });
+      setServicesView({ status: "sent" });
+    } catch (e) {
+      setServicesView({ status: "" });
+      showToast("Couldn't email the list: " + e.message, "error");
+    }
+  };
+
+  const setServices = (patch) => setForm(f => ({ ...f, services: { ...f.services, ...patch } }));
+
+  const toggleCatering = (item) => setForm(f => {
+    const had = f.services.catering.some(c => c.item === item);
+    return { ...f, services: { ...f.services, catering: had
+      ? f.services.catering.filter(c => c.item !== item)
+      : [...f.services.catering, { item, count: countHeadcount(f.email, f.emails) }] } };
+  });
+
+  // ── Offline queue ──
+  const queueOffline = async (action) => {
+    try {
+      const id = await queueAction(action);
+      setQueue(q => [...q, { ...action, id }]);
+    } catch (e) {
+      showToast("Couldn't save the change offline: " + e.message, "error");
+    }
+  };
+
+  // Send queued changes in order. Bookings are re-checked against the room calendar
+  // first, since someone may have taken the slot while we were offline.
+  const replayingRef = useRef(false);
+  const replayQueue = async () => {
+    if (replayingRef.current) return;
+    replayingRef.current = true;
+    let sent = 0;
+    const failed = [];
+    try {
+      for (const action of await loadQueue()) {
+        const label = `${rooms.find(r => r.id === action.roomId)?.name || action.roomId} ${formatShortDate(action.date)} ${timeLabel(action.startHour)}`;
+        try {
+          if (action.type === "create") {
+            const mailbox = action.details.roomEmail;
+            const clash   = mailbox ? (await findRoomConflicts(mailbox, [action.date], action.startHour, action.endHour))[0] : null;
+            if (clash) failed.push(`${label} was taken by ${clash.name}`);
+            else {
+              await createOutlookEvent(action.details); sent++;
+              if (!await tellFacilities("new", facilitiesBooking(action.details), action.details.services)) failed.push(`${label}: facilities weren't emailed`);
+            }
+          } else {
+            if (action.booking.seriesMasterId) await cancelSeriesEvent(action.booking, action.date, action.scope);
+            else await deleteOutlookEvent(await resolveOwnEventId(action.booking, action.date));
+            sent++;
+            const room = rooms.find(r => r.id === action.roomId);
+            if (room && !await tellFacilities("cancelled", facilitiesBookingOf(room, action.date, action.booking, CANCEL_SCOPE_NOTES[action.scope]), action.booking.services)) {
+              failed.push(`${label}: facilities weren't emailed`);
+            }
+          }
+        } catch (e) {
+          if (isOfflineError(e)) throw e; // connection dropped again — keep the rest queued
+          failed.push(`${label}: ${e.message}`);
+        }
+        await removeQueued(action.id);
+      }
+    } catch {
+      setOffline(true);
+    } finally {
+      replayingRef.current = false;
+    }
+    setQueue(await loadQueue().catch(() => []));
+    if (failed.length) showToast(`Couldn't apply ${failed.length} offline change${failed.length > 1 ? "s" : ""}: ${failed.join("; ")}`, "error");
+    else if (sent) showToast(`Sent ${sent} offline change${sent > 1 ? "s" : ""} to Outlook`);
+    if (sent || failed.length) syncView();
+  };
+
+  // ── Cancel booking ──
+  const handleCancel = (roomId, key) => setConfirmCancel({ roomId, key, scope: "occurrence" });
+
+  // scope only matters for recurring bookings: occurrence | following | series
+  const doCancel = async (roomId, key, scope = "occurrence") => {
+    const booking = currentBookings[roomId]?.[key];
+    if (!booking) return;
+    const seriesId = booking.seriesMasterId;
+    const queueCancel = () => queueOffline({ type: "cancel", roomId, date: activeDate, startHour: booking.startHour, booking, scope });
+    let removed = false;
+    if (booking.queued) {
+      // Never reached Outlook — just drop it from the queue.
+      const pending = queue.find(a => a.type === "create" && a.roomId === roomId && a.date === activeDate && a.startHour === booking.startHour);
+      if (pending) { await removeQueued(pending.id).catch(() => {}); setQueue(q => q.filter(a => a.id !== pending.id)); }
+    } else if (booking.outlookEventId && offline) {
+      await queueCancel();
+    } else if (booking.outlookEventId && authState === "signed-in") {
+      try {
+        if (seriesId) await cancelSeriesEvent(booking, activeDate, scope);
+        else await deleteOutlookEvent(await resolveOwnEventId(booking, activeDate));
+        removed = true;
+      }
+      catch (e) {
+        if (isOfflineError(e)) { setOffline(true); await queueCancel(); }
+        else showToast("Couldn't remove from Outlook: " + e.message, "error");
+      }
+    }
+    // Clear this booking, plus any cached dates the series cancellation also removed.
+    const isRemoved = (date, b) =>
+      (date === activeDate && b.key === key) ||
+      (seriesId && b.seriesMasterId === seriesId && (scope === "series" || (scope === "following" && date > activeDate)));
+    setDateBookings(prev => Object.fromEntries(Object.entries({ ...prev, [activeDate]: currentBookings }).map(([date, day]) => {
+      const kept = Object.fromEntries(Object.entries(day[roomId] || {}).filter(([, b]) => !isRemoved(date, b)));
+      return [date, { ...day, [roomId]: kept }];
+    })));
+    setViewModal(null); setConfirmCancel(null);
+    showToast(!seriesId || scope === "occurrence" ? "Booking cancelled"
+      : scope === "series" ? "Series cancelled" : "This and following occurrences cancelled");
+    if (removed) {
+      const room = rooms.find(r => r.id === roomId);
+      await tellFacilities("cancelled", facilitiesBookingOf(room, activeDate, booking, seriesId ? CANCEL_SCOPE_NOTES[scope] : ""), booking.services);
+    }
+  };
+
+  // ── Check-in ──
+  const checkInOf = (roomId, booking, date = activeDate) =>
+    checkInState(checkIns, catalog.checkIn, date, roomId, booking, currentTime);
+
+  // Only the organizer's app can change the meeting, so each app releases its own no-shows.
+  const isOwnBooking = (booking) => {
+    if (!userInfo || !booking.outlookEventId) return false;
+    const me = (userInfo.mail || userInfo.userPrincipalName || "").toLowerCase();
+    return booking.organizerEmail ? booking.organizerEmail.toLowerCase() === me : !booking.mailbox;
+  };
+
+  // Rooms with a wall display are checked in and released there, and nowhere else.
+  const canCheckIn = (room, booking) => KIOSK_ROOM ? room.id === KIOSK_ROOM : !room.display && canCancel(booking);
+  const canRelease = (room, booking) => KIOSK_ROOM
+    ? room.id === KIOSK_ROOM && !!booking.mailbox && !!booking.outlookEventId
+    : !room.display && isOwnBooking(booking);
+
+  // The event copy whoever releases this booking reads: [calendarPath, eventId].
+  const releaserCopy = async (booking, date) => KIOSK_ROOM && booking.mailbox
+    ? [`/users/${encodeURIComponent(booking.mailbox)}`, booking.outlookEventId]
+    : ["/me", await resolveOwnEventId(booking, date)];
+
+  const handleCheckIn = async (roomId, key, date = activeDate) => {
+    const booking = dateBookings[date]?.[roomId]?.[key];
+    if (!booking) return;
+    setCheckIns(prev => ({ ...prev, [checkInKey(date, roomId, booking.startHour)]: checkInEntry("checked-in", roomId, date, booking) }));
+    showToast("Checked in — the room is yours");
+    if (!booking.outlookEventId) return;
+    try {
+      const [path, id] = await releaserCopy(booking, date);
+      await tagCheckIn(path, id);
+    } catch (e) {
+      showToast("Checked in on this device only — other devices may still release the room: " + e.message, "error");
+    }
+  };
+
+  // Returns false when the release failed, so it can be tried again; `quiet` on retries.
+  const releaseNoShow = async (room, booking, date, quiet = false) => {
+    const key = checkInKey(date, room.id, booking.startHour);
+    try {
+      // Another device may have checked in since our last sync.
+      const [path, id] = await releaserCopy(booking, date);
+      const tag = await fetchCheckInTag(path, id);
+      if (tag) { setCheckIns(prev => ({ ...prev, [key]: checkInEntry(tag, room.id, date, booking) })); return true; }
+      if (KIOSK_ROOM) await declineRoomEvent(booking.mailbox, booking.outlookEventId, "Released — nobody checked in at the room.");
+      else await deleteOutlookEvent(id);
+    } catch (e) {
+      if (!quiet && !isOfflineError(e)) showToast(`Couldn't release ${room.name}: ${e.message}`, "error");
+      return false;
+    }
+    setDateBookings(prev => {
+      const roomBookings = { ...(prev[date]?.[room.id] || {}) };
+      delete roomBookings[booking.key];
+      return { ...prev, [date]: { ...prev[date], [room.id]: roomBookings } };
+    });
+    setCheckIns(prev => ({ ...prev, [key]: checkInEntry("released", room.id, date, booking) }));
+    showToast(`${room.name} released — nobody checked in to ${booking.title || "your meeting"}`);
+    await tellFacilities("cancelled", facilitiesBookingOf(room, date, booking), booking.services);
+    return true;
+  };
+
+  const releasingRef = useRef(new Map()); // key → "busy" | "failed"; a failed release is retried next tick
+  useEffect(() => {
+    if (!catalog.checkIn.enabled || authState !== "signed-in") return;
+    const date = todayStr();
+    rooms.forEach(room => Object.values(dateBookings[date]?.[room.id] || {}).forEach(b => {
+      if (!canRelease(room, b) || checkInOf(room.id, b, date) !== "missed") return;
+      const key = checkInKey(date, room.id, b.startHour);
+      const prior = releasingRef.current.get(key);
+      if (prior === "busy") return;
+      releasingRef.current.set(key, "busy");
+      releaseNoShow(room, b, date, prior === "failed").then(ok => { if (!ok) releasingRef.current.set(key, "failed"); });
+    }));
+  // currentTime ticks every 30s, which is what moves bookings from "awaiting" to "missed".
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentTime, dateBookings, checkIns, catalog.checkIn, authState, userInfo, rooms]);
+
+  useEffect(() => { persistCheckIns(checkIns); }, [checkIns]);
+
+  // ── Approvals ──
+  const myEmail = userInfo?.mail || userInfo?.userPrincipalName || "";
+  const isApprover = rooms.some(r => r.requiresApproval && isApproverOf(r, myEmail));
+
+  // Approvers a booking must go through: none when the room doesn't need approval,
+  // or when the booker approves for it themselves.
+  const approversFor = (room) => room.requiresApproval && !isApproverOf(room, myEmail) ? room.approvers : [];
+
+  // Settle our holds the approvers have answered: confirm approved ones (busy, and
+  // the approvers taken off the invite), cancel rejected ones.
+  const settlingRef = useRef(new Set());
+  useEffect(() => {
+    holds.forEach(async hold => {
+      const settle = hold.decision === "rejected" || (hold.decision === "approved" && hold.tentative);
+      if (!settle || settlingRef.current.has(hold.id)) return;
+      settlingRef.current.add(hold.id);
+      const room = rooms.find(r => r.id === hold.roomId);
+      try {
+        if (hold.decision === "approved") {
+          await gFetch(`/me/events/${hold.id}`, { method: "PATCH", body: JSON.stringify({ showAs: "busy", attendees: hold.attendees }) });
+          showToast(`${room?.name || "Room"} approved for ${formatShortDate(hold.date)} ${timeLabel(hold.startHour)}`);
+        } else {
+          await deleteOutlookEvent(hold.id);
+          showToast(`${room?.name || "Room"} wasn't approved for ${formatShortDate(hold.date)} ${timeLabel(hold.startHour)} — the hold was released. Check your email for the approver's note.`, "error");
+          const me = { organizer: userInfo?.displayName, organizerEmail: myEmail };
+          if (room) await tellFacilities("cancelled", facilitiesBookingOf(room, hold.date, { ...hold, ...me }), hold.services);
+        }
+        setHolds(prev => prev.filter(h => h.id !== hold.id));
+        syncView();
+      } catch (e) {
+        settlingRef.current.delete(hold.id);
+        if (!isOfflineError(e)) showToast(`Couldn't update your ${room?.name || "room"} request: ${e.message}`, "error");
+      }
+    });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [holds]);
+
+  // Holds are re-read with every sync, across the whole look-ahead window.
+  const hasApprovalRooms = rooms.some(r => r.requiresApproval);
+  useEffect(() => {
+    if (authState !== "signed-in" || !hasApprovalRooms || !lastSynced) return;
+    fetchMyHolds(rooms).then(setHolds).catch(() => { /* try again next sync */ });
+  }, [authState, hasApprovalRooms, lastSynced, rooms]);
+
+  const loadApprovals = useCallback(async (open) => {
+    setApprovals(a => ({ comments: {}, items: [], ...a, open: open ?? a?.open ?? false, status: "loading" }));
+    try {
+      const items = await fetchApprovalRequests(rooms, myEmail);
+      setApprovals(a => ({ ...a, status: "done", items }));
+    } catch {
+      setApprovals(a => ({ ...a, status: "error" }));
+    }
+  }, [rooms, myEmail]);
+
+  // Approvers' queue follows every sync, so the header count stays current.
+  useEffect(() => {
+    if (authState === "signed-in" && isApprover && lastSynced) loadApprovals();
+  }, [authState, isApprover, lastSynced, loadApprovals]);
+
+  const answerRequest = async (req, approve) => {
+    const comment = approvals.comments[req.id] || "";
+    if (!approve && !comment.trim()) { showToast("Add a comment so the requester knows why", "error"); return; }
+    setIsLoading(true);
+    try {
+      await answerApproval(req, approve, comment.trim());
+    } catch (e) {
+      setIsLoading(false);
+      showToast(`Couldn't ${approve ? "approve" : "reject"} the request: ${e.message}`, "error");
+      return;
+    }
+    // The decision stands from here; only the follow-up email can still fail.
+    setApprovals(a => ({ ...a, items: a.items.filter(x => x.id !== req.id) }));
+    const who = req.organizerName || req.organizerEmail;
+    try {
+      await emailApprovalDecision(req, approve, comment.trim(), userInfo?.displayName || myEmail);
+      showToast(`${approve ? "Approved" : "Rejected"} · ${who} has been emailed`);
+    } catch (e) {
+      showToast(`${approve ? "Approved" : "Rejected"} — Outlook told ${who}, but the follow-up email wasn't sent: ${e.message}`, "error");
+    }
+    setIsLoading(false);
+  };
+
+  // ── My bookings ──
+  const loadMyBookings = useCallback(async (weeks) => {
+    setMyPanel(p => ({ items: [], selected: [], ...p, weeks, confirm: false, status: "loading" }));
+    try {
+      const items = await fetchMyBookings(rooms, todayStr(), addDays(todayStr(), weeks * 7));
+      setMyPanel(p => p && ({ ...p, status: "done", items, selected: p.selected.filter(id => items.some(b => b.id === id)) }));
+    } catch {
+      setMyPanel(p => p && ({ ...p, status: "error" }));
+    }
+  }, [rooms]);
+
+  const toggleMine = (ids, on) => setMyPanel(p => ({
+    ...p, confirm: false,
+    selected: on ? [...new Set([...p.selected, ...ids])] : p.selected.filter(id => !ids.includes(id)),
+  }));
+
+  // Jump to the booking's day; view and edit open once the grid has it.
+  const openFromPanel = async (item, action) => {
+    setMyPanel(null);
+    setActiveDate(item.date);
+    const dates = viewMode === "week" ? weekDates(item.date, settings.showWeekends) : [item.date];
+    await doSync(dates[0], undefined, dates[dates.length - 1]);
+    if (action) setPanelTarget({ item, action });
   };
 
-  const selectSugg = (person) => {
-    if (form.emails.includes(person.email)) { showToast("Already added", "error"); return; }
-    setForm(f => ({ ...f, emails: [...f.emails, person.email], emailInput: "" }));
-    setPeopleSugg([]); setShowSugg(false);
+  useEffect(() => {
+    if (!panelTarget) return;
+    const { item, action } = panelTarget;
+    setPanelTarget(null);
+    const booking = Object.values(dateBookings[item.date]?.[item.roomId] || {})
+      .find(b => b.outlookEventId === item.id || (item.iCalUId && b.iCalUId === item.iCalUId));
+    if (!booking) { showToast("That booking isn't on the grid yet — try again in a moment", "error"); return; }
+    if (action === "edit") openEdit(item.roomId, booking.key);
+    else setViewModal({ booking, roomId: item.roomId, key: booking.key, room: rooms.find(r => r.id === item.roomId) });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [panelTarget]);
+
+  // Cancels go to each event directly: for a series, only the listed occurrence goes.
+  const cancelMine = async (ids) => {
+    const items = myPanel.items.filter(b => ids.includes(b.id));
+    setIsLoading(true);
+    const gone = [], failed = [], deleted = [];
+    for (const b of items) {
+      try { await deleteOutlookEvent(b.id); gone.push(b); deleted.push(b); }
+      catch (e) {
+        if (e.kind === "not-found") gone.push(b);
+        else failed.push(e.message);
+      }
+    }
+    const isGone = (date, b) => gone.some(g => g.date === date && (g.id === b.outlookEventId || (g.iCalUId && g.iCalUId === b.iCalUId)));
+    setDateBookings(prev => Object.fromEntries(Object.entries(prev).map(([date, day]) => [date,
+      Object.fromEntries(Object.entries(day).map(([roomId, bs]) => [roomId,
+        Object.fromEntries(Object.entries(bs).filter(([, b]) => !isGone(date, b)))])),
+    ])));
+    setMyPanel(p => p && ({ ...p, items: p.items.filter(b => !gone.includes(b)), selected: [], confirm: false }));
+    setIsLoading(false);
+    if (failed.length) showToast(`Cancelled ${gone.length} of ${items.length} — ${failed[0]}`, "error");
+    else showToast(gone.length > 1 ? `${gone.length} bookings cancelled · Attendees notified` : "Booking cancelled");
+    const me = { organizer: userInfo?.displayName, organizerEmail: userInfo?.mail || userInfo?.userPrincipalName };
+    for (const b of deleted.filter(x => x.services)) {
+      await tellFacilities("cancelled", facilitiesBookingOf(rooms.find(r => r.id === b.roomId), b.date, { ...b, ...me }), b.services);
+    }
+    syncView();
   };
 
-  const handleAttInput = (val) => {
-    setForm(f => ({ ...f, emailInput: val }));
-    clearTimeout(searchTimer.current);
-    if (val.length < 2 || authState !== "signed-in") { setPeopleSugg([]); setShowSugg(false); return; }
-    searchTimer.current = setTimeout(async () => {
-      const results = await searchPeople(val);
-      setPeopleSugg(results); setShowSugg(results.length > 0);
-    }, 300);
+  // ── Analytics ──
+  const runAnalytics = async (from, to) => {
+    if (from > to) [from, to] = [to, from];
+    if (from < addDays(to, -ANALYTICS_MAX_DAYS)) from = addDays(to, -ANALYTICS_MAX_DAYS);
+    setAnalytics({ from, to, status: "loading", report: null });
+    const history = {};
+    for (const room of rooms) {
+      const mailbox = roomMailbox(room, settings);
+      try { history[room.id] = mailbox.includes("@") ? await fetchRoomHistory(mailbox, from, to) : null; }
+      catch (e) {
+        if (isOfflineError(e)) { setAnalytics(a => a && { ...a, status: "error" }); return; }
+        history[room.id] = null;
+      }
+    }
+    const report = analyzeUsage({ rooms, hours, history, checkIns, from, to });
+    setAnalytics(a => a?.from === from && a.to === to ? { ...a, status: "done", report } : a);
   };
 
-  const removeEmail = e => setForm(f => ({ ...f, emails: f.emails.filter(x => x !== e) }));
+  const exportAnalytics = () => downloadCsv(`room-usage-${analytics.from}-to-${analytics.to}.csv`,
+    analyticsCsv(analytics.report, analytics.from, analytics.to));
 
-  // ── Apply quick duration ──
-  const applyDuration = (minutes) => {
-    if (!modal) return;
-    const startIdx = HOURS.findIndex(h => h.value === modal.startHour);
-    const endIdx   = Math.min(startIdx + Math.ceil(minutes / 30), HOURS.length - 1);
-    setForm(f => ({ ...f, endHour: HOURS[endIdx].value }));
+  // ── Export ──
+  const exportViewCsv = () => {
+    const span = visibleDates.length > 1 ? `${visibleDates[0]}-to-${visibleDates[visibleDates.length - 1]}` : activeDate;
+    downloadCsv(`room-bookings-${span}.csv`, bookingsCsv(visibleDates, visibleRooms, dateBookings));
   };
 
-  // ── Confirm booking ──
-  const handleBook = async () => {
-    if (!form.name.trim()) { showToast("Your name is required", "error"); return; }
-    if (!form.endHour || form.endHour <= modal.startHour) { showToast("End time must be after start time", "error"); return; }
+  const exportBookingIcs = ({ room, booking }) =>
+    downloadIcs(`${room.name}-${activeDate}-${booking.startHour.replace(":", "")}.ics`, [{ date: activeDate, room, booking }]);
 
-    const startIdx = HOURS.findIndex(h => h.value === modal.startHour);
-    const endIdx   = HOURS.findIndex(h => h.value === form.endHour);
+  const openExport = () => setExporter({
+    roomId: visibleRooms[0]?.id || "", from: visibleDates[0], to: visibleDates[visibleDates.length - 1], status: "",
+  });
 
-    // Conflict check (in case someone else booked while modal was open)
-    for (let i = startIdx; i < endIdx; i++) {
-      if (currentBookings[modal.roomId]?.[HOURS[i].value]) {
-        showToast("This slot was just booked by someone else. Please refresh.", "error");
-        setModal(null);
-        await doSync(activeDate);
-        return;
-      }
-    }
+  // The range is read fresh, since the grid may not have loaded it; offline, saved days are used.
+  const exportRoomIcs = async () => {
+    const { roomId, from, to } = exporter;
+    const room = rooms.find(r => r.id === roomId);
+    if (!room || !from || !to || from > to) { showToast("Pick a room and a valid date range", "error"); return; }
+    const dates = dateRange(from, to);
+    if (dates.length > EXPORT_MAX_DAYS) { showToast(`Export at most ${EXPORT_MAX_DAYS} days at a time`, "error"); return; }
+    setExporter(x => ({ ...x, status: "loading" }));
+    const loaded  = authState === "signed-in" && !offline ? await doSync(from, undefined, to) : null;
+    const byDate  = { ...dateBookings, ...(loaded || {}) };
+    const entries = dates.flatMap(date => Object.values(byDate[date]?.[roomId] || {})
+      .sort((a, b) => a.startHour.localeCompare(b.startHour))
+      .map(booking => ({ date, room, booking })));
+    const missing = dates.filter(d => !byDate[d]).length;
+    setExporter(null);
+    downloadIcs(`${room.name}-${from}-to-${to}.ics`, entries, `${room.name} bookings`);
+    if (missing) showToast(`${missing} day${missing > 1 ? "s" : ""} in that range weren't loaded and are left out`, "error");
+    else showToast(`Exported ${entries.length} ${room.name} booking${entries.length === 1 ? "" : "s"}`);
+  };
 
-    const room = ROOMS.find(r => r.id === modal.roomId);
-    setIsLoading(true);
-    let outlookEventId = null;
-    let outlookError   = null;
+  // ── Room responses ──
+  useEffect(() => { persistDismissedDeclines(dismissed); }, [dismissed]);
 
-    if (authState === "signed-in") {
-      try {
-        const evt = await createOutlookEvent({
-          roomName: room.name,
-          roomEmail: room.mailbox,
-          bookerName: form.name,
-          bookerEmail: form.email,
-          emailList:   form.emails,
-          date:        activeDate,
-          startHour:   modal.startHour,
-          endHour:     form.endHour,
-          meetingTitle: form.title || `[${room.name}] ${form.name}`,
-        });
-        outlookEventId = evt?.id;
-      } catch (e) { outlookError = e.message; }
-    }
+  const dismissDecline = (d) => setDismissed(prev => ({ ...prev, [d.id]: d.date }));
 
-    // Optimistically update UI
-    const newSlots = { ...currentBookings[modal.roomId] };
-    for (let i = startIdx; i < endIdx; i++) {
-      newSlots[HOURS[i].value] = {
-        name:          form.name,
-        title:         form.title || `[${room.name}] ${form.name}`,
-        organizer:     form.name,
-        organizerEmail: form.email,
-        startHour:     modal.startHour,
-        endHour:       form.endHour,
-        emails:        form.emails,
-        outlookEventId,
-        isSpan:        i > startIdx,
-        attendeeCount: form.emails.length,
-        synced:        !!outlookEventId,
-      };
+  // Other rooms free at a declined booking's time that fit its attendees and the amenity filter, snuggest first.
+  const declineAlternatives = (d) => rooms
+    .filter(r => r.id !== d.roomId && r.mailbox && hasAmenities(r, needs) && !isOverCapacity(r, d.emails.length + 1)
+      && isWithinHours(hours, r, d.date, d.startHour, d.endHour) && !bookingAt(r.id, d.date, d.startHour, d.endHour)
+      && !policyViolations(catalog.policy, r, { dates: [d.date], startHour: d.startHour, endHour: d.endHour, mine: null }).length)
+    .sort((a, b) => (a.capacity || Infinity) - (b.capacity || Infinity))
+    .slice(0, 2);
+
+  // Re-point the declined meeting at another room; attendees get the update.
+  const moveDeclined = async (d, room) => {
+    const from = rooms.find(r => r.id === d.roomId);
+    setIsLoading(true);
+    if (await recheckRoom(room, d.date, d.startHour, d.endHour)) { setIsLoading(false); return; }
+    const details = {
+      roomName:     room.name,
+      roomEmail:    room.mailbox,
+      bookerName:   userInfo?.displayName || "",
+      bookerEmail:  userInfo?.mail || userInfo?.userPrincipalName || "",
+      emailList:    d.emails,
+      date:         d.date,
+      startHour:    d.startHour,
+      endHour:      d.endHour,
+      meetingTitle: from ? d.title.replace(`[${from.name}]`, `[${room.name}]`) : d.title,
+      approvers:    approversFor(room),
+      online:       d.online, // keeps the Teams join details in the body
+      services:     d.services, // and facilities on the invite
+      facilitiesEmail: catalog.facilities.mailbox,
+    };
+    try {
+      await updateOutlookEvent(d.id, details);
+    } catch (e) {
+      setIsLoading(false);
+      showToast(`Couldn't move to ${room.name}: ${e.message}`, "error");
+      return;
     }
-    setDateBookings(prev => ({ ...prev, [activeDate]: { ...currentBookings, [modal.roomId]: newSlots } }));
-    setModal(null);
+    setDeclines(prev => prev.filter(x => x.id !== d.id));
     setIsLoading(false);
-
-    if (outlookError) showToast(`Booked. Outlook error: ${outlookError}`, "error");
-    else showToast(`${room.name} booked!${outlookEventId ? " · Invite sent" : ""}`);
+    showToast(`Moved to ${room.name} · Attendees notified${details.approvers.length ? " · Sent for approval" : ""}`);
+    doSync(d.date);
+    await tellFacilities("changed", facilitiesBooking(details), d.services);
   };
 
-  // ── Cancel booking ──
-  const doCancel = async (roomId, hour) => {
-    const booking = currentBookings[roomId]?.[hour];
-    if (!booking || booking.isSpan) return;
-    if (booking.outlookEventId && authState === "signed-in") {
-      try { await deleteOutlookEvent(booking.outlookEventId); }
-      catch (e) { showToast("Couldn't remove from Outlook: " + e.message, "error"); }
+  const cancelDeclined = async (d) => {
+    try {
+      await deleteOutlookEvent(d.id);
+    } catch (e) {
+      showToast("Couldn't cancel the meeting: " + e.message, "error");
+      return;
     }
-    const newSlots = { ...currentBookings[roomId] };
-    Object.entries(newSlots).forEach(([h, b]) => {
-      if (b?.outlookEventId === booking.outlookEventId || h === hour) newSlots[h] = null;
-    });
-    setDateBookings(prev => ({ ...prev, [activeDate]: { ...currentBookings, [roomId]: newSlots } }));
-    setViewModal(null); setConfirmCancel(null);
-    showToast("Booking cancelled");
+    setDeclines(prev => prev.filter(x => x.id !== d.id));
+    showToast("Meeting cancelled");
+    const room = rooms.find(r => r.id === d.roomId);
+    const me   = { title: d.title, organizer: userInfo?.displayName, organizerEmail: userInfo?.mail || userInfo?.userPrincipalName };
+    await tellFacilities("cancelled", facilitiesBookingOf(room, d.date, { ...d, ...me }), d.services);
   };
 
   // ── Save settings ──
   const handleSaveSettings = () => {
-    const next = { ...settings, roomEmails: settingsForm.roomEmails };
+    const next = { ...settings, roomEmails: settingsForm.roomEmails, timeZone: settingsForm.timeZone || "" };
+    if (next.timeZone !== (settings.timeZone || "")) {
+      // Everything loaded is wall-clock time in the old zone — start over in the new one.
+      setDisplayZone(next.timeZone);
+      setDateBookings({});
+      setSyncedAt({});
+    }
     setSettings(next);
     persistSettings(next);
     setSettingsOpen(false);
     showToast("Settings saved");
-    if (authState === "signed-in") doSync(activeDate, next);
+    if (authState === "signed-in") syncView(next);
   };
 
   // ── Helpers: UI ──
+  // " · 4:30 PM Nairobi time" when the room's clock differs from the display zone.
+  const roomTimeNote = (room, date, hhmm) => {
+    const shift = zoneShift(date, room.timeZone, displayZone);
+    if (!shift) return "";
+    return ` · ${timeLabel(fromMins((toMins(hhmm) - shift + 24 * 60) % (24 * 60)))} ${room.timeZone.split("/").pop().replace(/_/g, " ")} time`;
+  };
+
+  // Rows to draw: the visible rooms' opening hours on the visible dates, stretched to
+  // take in any timed booking outside them (so early or late meetings still show).
+  const gridSlots = (() => {
+    let first = Infinity, last = -Infinity;
+    visibleDates.forEach(d => visibleRooms.forEach(r => {
+      const open = roomHoursOn(hours, r, d);
+      if (open) { first = Math.min(first, toMins(open.open)); last = Math.max(last, toMins(open.close)); }
+      Object.values(dateBookings[d]?.[r.id] || {}).forEach(b => {
+        if (b.allDay) return;
+        first = Math.min(first, toMins(b.startHour));
+        last  = Math.max(last, toMins(b.endHour));
+      });
+    }));
+    return first < last ? slotRange(first, last, hours.slotMinutes) : timeSlots;
+  })();
+
+  // Where a timed booking sits in the grid body, as percentages of its height,
+  // in lane `lane` of `lanes` side-by-side columns. The offsets match the
+  // cells' 2px padding and the rows' 3px gap.
+  const blockStyle = (b, { lane, lanes }) => {
+    const first = toMins(gridSlots[0].value);
+    const total = toMins(gridSlots[gridSlots.length - 1].end) - first;
+    return {
+      top:    `calc(${(toMins(b.startHour) - first) / total * 100}% + 2px)`,
+      height: `calc(${(toMins(b.endHour) - toMins(b.startHour)) / total * 100}% - 7px)`,
+      left:   `${lane / lanes * 100}%`,
+      width:  `calc(${100 / lanes}% - ${lanes > 1 ? 2 : 0}px)`,
+    };
+  };
+
   const getTimelinePos = () => {
-    if (activeDate !== today) return null;
-    const now = currentTime;
-    const totalMins = now.getHours() * 60 + now.getMinutes();
-    const startMins = 8 * 60; const endMins = 17 * 60 + 30;
+    if (activeDate !== today || !gridSlots.length) return null;
+    const totalMins = wallClock(currentTime).mins;
+    const startMins = toMins(gridSlots[0].value);
+    const endMins   = toMins(gridSlots[gridSlots.length - 1].end);
     if (totalMins < startMins || totalMins > endMins) return null;
     return (totalMins - startMins) / (endMins - startMins);
   };
 
   const isRoomBusyNow = (roomId) => {
     if (activeDate !== today) return null;
-    const now = currentTime;
-    const hh  = `${String(now.getHours()).padStart(2,"0")}:${now.getMinutes() < 30 ? "00" : "30"}`;
-    const b   = currentBookings[roomId]?.[hh];
-    return b && !b.isSpan ? b : null;
+    const now = wallClock(currentTime).time;
+    return Object.values(currentBookings[roomId] || {})
+      .find(b => b.startHour <= now && b.endHour > now) || null;
   };
 
   const canCancel = (booking) => {
@@ -722,13 +3493,154 @@ export default function App() {
     return !booking.organizerEmail || booking.organizerEmail.toLowerCase() === me;
   };
 
-  const endHourOptions  = modal ? HOURS.filter(h => h.value > modal.startHour) : [];
+  const endHourOptions  = modal
+    ? endOptionsFor(rooms.find(r => r.id === modal.roomId), activeDate, modal.startHour, form.endHour)
+    : [];
+  const durations = { 15: [15, 30, 45, 60], 30: [30, 60, 90, 120], 60: [60, 120, 180, 240] }[hours.slotMinutes];
   const timelinePos     = getTimelinePos();
   const lastSyncedLabel = lastSynced
     ? lastSynced.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
     : "";
 
+  // ── Kiosk display ──
+  const kioskSignIn = async () => (await getMsal()).loginRedirect({ scopes: GRAPH_SCOPES });
+  const kioskNow    = () => fromMins(Math.floor(wallClock(currentTime).mins / 5) * 5);
+
+  // Longest walk-in (minutes) before the next booking or closing time.
+  const kioskFreeMinutes = (room) => {
+    const open = roomHoursOn(hours, room, today);
+    const now  = kioskNow();
+    if (!open || now < open.open || now >= open.close || isRoomBusyNow(room.id)) return 0;
+    const next = Object.values(currentBookings[room.id] || {})
+      .filter(b => b.startHour > now).map(b => b.startHour).sort()[0];
+    return toMins(next && next < open.close ? next : open.close) - toMins(now);
+  };
+
+  // Walk-ins follow the room's policy too; the display isn't anyone's quota.
+  const walkInError = (room, minutes) => {
+    if (approversFor(room).length) return `${room.name} needs approval — book it in Rooms instead`;
+    const startHour = kioskNow();
+    return policyViolations(catalog.policy, room, { dates: [today], startHour, endHour: fromMins(toMins(startHour) + minutes), mine: null })[0];
+  };
+
+  const bookNow = async (room, minutes) => {
+    const error = walkInError(room, minutes);
+    if (error) { showToast(error, "error"); return; }
+    const startHour = kioskNow();
+    const endHour   = fromMins(toMins(startHour) + minutes);
+    const title     = `[${room.name}] Walk-in`;
+    setIsLoading(true);
+    if (await recheckRoom(room, today, startHour, endHour)) { setIsLoading(false); return; }
+    try {
+      const evt = await createOutlookEvent({
+        roomName:    room.name,
+        roomEmail:   roomMailbox(room, settings),
+        bookerName:  userInfo?.displayName || room.name,
+        bookerEmail: userInfo?.mail || userInfo?.userPrincipalName || "",
+        emailList:   [],
+        date:        today,
+        startHour,
+        endHour,
+        meetingTitle: title,
+      });
+      const booking = {
+        name: "Walk-in", title, organizer: userInfo?.displayName || room.name,
+        organizerEmail: userInfo?.mail || userInfo?.userPrincipalName || "",
+        emails: [], attendeeCount: 0, outlookEventId: evt?.id, seriesMasterId: null, synced: true,
+      };
+      setDateBookings(prev => ({
+        ...prev,
+        [today]: { ...currentBookings, [room.id]: withBooking(currentBookings[room.id], startHour, endHour, booking) },
+      }));
+      // Someone is standing at the door, so walk-ins start checked in.
+      setCheckIns(prev => ({
+        ...prev,
+        [checkInKey(today, room.id, startHour)]: checkInEntry("checked-in", room.id, today, { ...booking, startHour, endHour }),
+      }));
+      showToast(`${room.name} is yours until ${timeLabel(endHour)}`);
+    } catch (e) {
+      showToast("Couldn't book the room: " + e.message, "error");
+    }
+    setIsLoading(false);
+  };
+
   // ── Render ────────────────────────────────────────────────────────────────
+  if (KIOSK_ROOM) {
+    const room = rooms.find(r => r.id === KIOSK_ROOM);
+    if (!room) {
+      return (
+        <div className="kiosk kiosk-missing">
+          <style>{CSS}</style>
+          {rooms.length ? `No room with id "${KIOSK_ROOM}" in the catalog` : "Loading…"}
+        </div>
+      );
+    }
+    const nowB     = isRoomBusyNow(room.id);
+    const nowHHMM  = wallClock(currentTime).time;
+    const entries  = Object.entries(currentBookings[room.id] || {})
+      .filter(([, b]) => b.endHour > nowHHMM).sort(([, a], [, b]) => a.startHour.localeCompare(b.startHour));
+    const upcoming = entries.filter(([, b]) => b !== nowB);
+    const [ciKey, ciBooking] = entries.find(([, b]) => ["awaiting", "missed"].includes(checkInOf(room.id, b))) || [];
+    const freeMins = kioskFreeMinutes(room);
+    return (
+      <div className="kiosk" style={{ "--room-color": room.color, "--room-light": room.light, "--room-accent": room.accent }}>
+        <style>{CSS}</style>
+        <div className="kiosk-head">
+          <div>
+            <div className="kiosk-name">{room.name}</div>
+            <div className="kiosk-loc">{[roomLocation(room), room.capacity && `${room.capacity} people`].filter(Boolean).join(" · ")}</div>
+          </div>
+          <div className="kiosk-clock">{currentTime.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}</div>
+        </div>
+
+        <div className={"kiosk-status " + (nowB ? "busy" : "free")}>
+          <div className="kiosk-state">{nowB ? `In use until ${timeLabel(nowB.endHour)}` : "Available"}</div>
+          <div className="kiosk-sub">
+            {nowB ? (nowB.title || nowB.name)
+              : upcoming.length ? `Free until ${timeLabel(upcoming[0][1].startHour)}` : "Free for the rest of the day"}
+          </div>
+          {ciBooking && (
+            <button className="kiosk-checkin" onClick={() => handleCheckIn(room.id, ciKey)}>
+              Check in · {ciBooking.title || ciBooking.name}
+            </button>
+          )}
+        </div>
+
+        {!nowB && authState === "signed-in" && (
+          <div className="kiosk-section">
+            <div className="kiosk-lbl">Book now</div>
+            <div className="kiosk-book">
+              {[15, 30, 60].map(m => (
+                <button key={m} className="kiosk-book-btn" title={walkInError(room, m)}
+                  disabled={isLoading || m > freeMins || !!walkInError(room, m)} onClick={() => bookNow(room, m)}>
+                  {m} min
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="kiosk-section">
+          <div className="kiosk-lbl">Up next</div>
+          {upcoming.length ? upcoming.slice(0, 4).map(([k, b]) => (
+            <div key={k} className="kiosk-next">
+              <span className="kiosk-next-time">{timeLabel(b.startHour)} – {timeLabel(b.endHour)}</span>
+              <span className="kiosk-next-title">{b.title || b.name}</span>
+            </div>
+          )) : <div className="kiosk-empty">Nothing else booked today</div>}
+        </div>
+
+        <div className="kiosk-foot">
+          {authState === "signed-in" ? (syncStatus === "error" ? "⚠ Reconnecting…" : lastSyncedLabel && `Updated ${lastSyncedLabel}`)
+            : authState === "signing-in" ? "Connecting…"
+            : <button className="btn btn-ghost btn-sm" onClick={kioskSignIn}>Sign in this display</button>}
+        </div>
+
+        {toast && <div className={"toast toast-" + toast.type}>{toast.msg}</div>}
+      </div>
+    );
+  }
+
   return (
     <div className="app">
       <style>{CSS}</style>
@@ -743,20 +3655,20 @@ export default function App() {
         </div>
 
         <div className="header-nav">
-          <button className="nav-arrow" onClick={() => navigateDate(-1)} title="Previous day">‹</button>
+          <button className="nav-arrow" onClick={() => navigateDate(-1)} title={viewMode === "week" ? "Previous week" : "Previous day"}>‹</button>
           <div className="header-date-wrap">
             <button
               className={"today-btn" + (activeDate === today ? " today-active" : "")}
-              onClick={() => setActiveDate(today)}
+              onClick={() => goToDate(today)}
             >Today</button>
             <input
               type="date"
               className="date-picker"
               value={activeDate}
-              onChange={e => { if (e.target.value) setActiveDate(e.target.value); }}
+              onChange={e => { if (e.target.value) goToDate(e.target.value); }}
             />
           </div>
-          <button className="nav-arrow" onClick={() => navigateDate(1)} title="Next day">›</button>
+          <button className="nav-arrow" onClick={() => navigateDate(1)} title={viewMode === "week" ? "Next week" : "Next day"}>›</button>
         </div>
 
         <div className="header-actions">
@@ -766,8 +3678,9 @@ export default function App() {
                 {syncStatus === "syncing" && "⟳ Syncing…"}
                 {syncStatus === "synced"  && `✓ ${lastSyncedLabel}`}
                 {syncStatus === "error"   && "⚠ Sync error"}
+                {syncStatus === "offline" && "📴 Offline"}
               </span>
-              <button className="icon-btn" onClick={() => doSync(activeDate)} title="Refresh now">↻</button>
+              <button className="icon-btn" onClick={() => syncView()} title="Refresh now">↻</button>
               <div className="user-chip">
                 <div className="user-avatar">{(userInfo?.displayName || "?").charAt(0).toUpperCase()}</div>
                 <span className="user-name">{(userInfo?.displayName || "").split(" ")[0]}</span>
@@ -785,6 +3698,18 @@ export default function App() {
                 : <><MsLogo />Connect Outlook</>}
             </button>
           )}
+          {authState === "signed-in" && (
+            <button className="icon-btn" title="Room usage" onClick={() => runAnalytics(addDays(today, 1 - ANALYTICS_RANGES[1]), today)}>📊</button>
+          )}
+          {authState === "signed-in" && (
+            <button className="icon-btn" title="My bookings" onClick={() => loadMyBookings(myPanel?.weeks || MY_BOOKINGS_WEEKS[1])}>📋</button>
+          )}
+          <button className="icon-btn" title="Find a room" onClick={openFinder}>🔍</button>
+          {isApprover && authState === "signed-in" && (
+            <button className="icon-btn icon-btn-badge" title="Approval requests" onClick={() => loadApprovals(true)}>
+              🛡{approvals?.items.length > 0 && <span className="icon-badge">{approvals.items.length}</span>}
+            </button>
+          )}
           <button className="icon-btn" title="Settings"
             onClick={() => { setSettingsForm({ ...settings }); setSettingsOpen(true); }}>⚙</button>
         </div>
@@ -792,12 +3717,59 @@ export default function App() {
 
       {/* ══ SUB-HEADER ══ */}
       <div className="sub-header">
-        <span className="sub-date">{formatDate(activeDate)}</span>
-        {activeDate === today && <span className="chip chip-today">Today</span>}
+        <span className="sub-date">
+          {viewMode === "week"
+            ? `${formatShortDate(visibleDates[0])} – ${formatShortDate(visibleDates[visibleDates.length - 1])}`
+            : formatDate(activeDate)}
+        </span>
+        {rooms.length > 0 && <button className="chip chip-export" title="Export bookings" onClick={openExport}>⬇ Export</button>}
+        {catalog.facilities.mailbox && servicesItems.length > 0 && (
+          <button className="chip chip-services" title="Catering and setup requested for these dates" onClick={() => setServicesView({ status: "" })}>
+            🍽 {servicesItems.length} service request{servicesItems.length > 1 ? "s" : ""}
+          </button>
+        )}
+        {visibleDates.includes(today) && <span className="chip chip-today">{viewMode === "week" ? "This week" : "Today"}</span>}
+        {!rooms.length && <span className="chip chip-warn">Loading room catalog…</span>}
         {hasRoomEmails && <span className="chip chip-shared">🔗 Org-wide view</span>}
+        {(displayZone !== browserZone() || visibleRooms.some(r => r.timeZone !== displayZone)) && (
+          <button className="chip chip-zone" title="Times are shown in this zone — change it in Settings"
+            onClick={() => { setSettingsForm({ ...settings }); setSettingsOpen(true); }}>
+            🌐 {zoneLabel(displayZone)}
+          </button>
+        )}
         {authState !== "signed-in" && <span className="chip chip-warn">Connect Outlook to see &amp; create bookings</span>}
+        <div className="view-toggle">
+          {viewMode === "week" && (
+            <label className="weekend-toggle">
+              <input type="checkbox" checked={!!settings.showWeekends} onChange={toggleWeekends} /> Weekends
+            </label>
+          )}
+          {["day", "week"].map(mode => (
+            <button key={mode} className={"view-btn" + (viewMode === mode ? " view-btn-on" : "")}
+              onClick={() => switchView(mode)}>{mode === "day" ? "Day" : "Week"}</button>
+          ))}
+        </div>
       </div>
 
+      {/* ══ AMENITY FILTER ══ */}
+      {!roomFilter && amenityKeys.length > 0 && (
+        <div className="amenity-bar">
+          <span className="amenity-bar-lbl">Needs</span>
+          {amenityKeys.map(k => (
+            <button key={k} className={"amenity-chip" + (needs.includes(k) ? " amenity-on" : "")}
+              aria-pressed={needs.includes(k)} onClick={() => toggleAmenity(k)}>
+              {AMENITIES[k].icon} {AMENITIES[k].label}
+            </button>
+          ))}
+          {needs.length > 0 && (
+            <>
+              <span className="amenity-count">{visibleRooms.length} of {rooms.length} rooms</span>
+              <button className="amenity-clear" onClick={clearAmenities}>Clear</button>
+            </>
+          )}
+        </div>
+      )}
+
       {/* ══ CONNECT BANNER ══ */}
       {authState !== "signed-in" && (
         <div className="connect-banner">
@@ -809,12 +3781,64 @@ export default function App() {
         </div>
       )}
 
+      {/* ══ OFFLINE BANNER ══ */}
+      {(offline || queue.length > 0) && (() => {
+        const saved  = visibleDates.map(d => syncedAt[d]);
+        const oldest = saved.every(Boolean) && saved.reduce((a, b) => (a < b ? a : b));
+        return (
+          <div className="offline-banner">
+            <span>
+              {!offline ? "Back online — sending your offline changes…"
+                : oldest ? `📴 You're offline — showing the schedule as of ${new Date(oldest).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" })}. It may be out of date.`
+                : `📴 You're offline and ${viewMode === "week" ? "this week hasn't" : "this day hasn't"} been synced on this device yet.`}
+            </span>
+            {queue.length > 0 && (
+              <span className="chip chip-warn">{queue.length} change{queue.length > 1 ? "s" : ""} waiting to send</span>
+            )}
+          </div>
+        );
+      })()}
+
+      {/* ══ DECLINED BANNER ══ */}
+      {declines
+        .filter(d => !dismissed[d.id] && `${d.date}T${d.endHour}` > `${today}T${wallClock(currentTime).time}`)
+        .map(d => {
+          const room = rooms.find(r => r.id === d.roomId);
+          return (
+            <div key={d.id} className="decline-banner">
+              <span>
+                ⛔ <strong>{room?.name || "The room"} declined</strong> “{d.title}” on {formatShortDate(d.date)},{" "}
+                {timeLabel(d.startHour)} – {timeLabel(d.endHour)}. The meeting is still in your calendar without a room.
+              </span>
+              {declineAlternatives(d).map(alt => (
+                <button key={alt.id} className="btn btn-primary btn-sm" disabled={isLoading} onClick={() => moveDeclined(d, alt)}>
+                  Move to {alt.name}
+                </button>
+              ))}
+              <button className="btn btn-ghost btn-sm" onClick={() => cancelDeclined(d)}>Cancel meeting</button>
+              <button className="close-btn" onClick={() => dismissDecline(d)} title="Dismiss">✕</button>
+            </div>
+          );
+        })}
+
       {/* ══ ROOM CARDS ══ */}
       <div className="room-cards">
+        {rooms.length > 0 && !visibleRooms.length && (
+          <div className="amenity-empty">
+            No room has {needs.map(k => AMENITIES[k].label.toLowerCase()).join(" + ")}.
+            <button className="amenity-clear" onClick={clearAmenities}>Clear filters</button>
+          </div>
+        )}
         {visibleRooms.map(room => {
-          const booked      = Object.values(currentBookings[room.id] || {}).filter(b => b && !b.isSpan).length;
-          const free        = HOURS.length - booked;
+          const booked      = Object.keys(currentBookings[room.id] || {}).length;
+          const free        = timeSlots.filter(slot => isSlotOpen(room, activeDate, slot) && !bookingAt(room.id, activeDate, slot.value, slot.end)).length;
           const nowBooking  = isRoomBusyNow(room.id);
+          const nowHHMM     = wallClock(currentTime).time;
+          const [ciKey, ciBooking] = (activeDate === today && Object.entries(currentBookings[room.id] || {})
+            .find(([, b]) => b.endHour > nowHHMM && checkInOf(room.id, b))) || [];
+          const ciState  = ciBooking && checkInOf(room.id, ciBooking);
+          const released = activeDate === today && !ciBooking && Object.values(checkIns)
+            .find(e => e.state === "released" && e.date === today && e.roomId === room.id && e.endHour > nowHHMM);
           return (
             <div key={room.id} className="room-card" style={{ "--room-color": room.color, "--room-light": room.light, "--room-accent": room.accent }}>
               <div className="room-card-top">
@@ -824,11 +3848,34 @@ export default function App() {
                   {nowBooking ? "In Use" : "Available"}
                 </span>
               </div>
-              <div className="room-card-cap">{room.capacity} person max</div>
+              <div className="room-card-cap">
+                {room.capacity} person max{room.building || room.floor ? ` · ${roomLocation(room)}` : ""}
+              </div>
+              {room.amenities.length > 0 && <div className="room-amenities">{amenityIcons(room)}</div>}
               {nowBooking && (
                 <div className="room-now-info">
                   <span style={{ color: room.accent, fontWeight: 700 }}>{nowBooking.name}</span>
-                  {" "}until {HOURS.find(h => h.value === nowBooking.endHour)?.label || nowBooking.endHour}
+                  {" "}until {timeLabel(nowBooking.endHour)}
+                  {nowBooking.joinUrl && (
+                    <a className="join-btn" href={nowBooking.joinUrl} target="_blank" rel="noreferrer">🎥 Join</a>
+                  )}
+                </div>
+              )}
+              {ciState && (
+                <div className={"checkin-line checkin-" + ciState}>
+                  <span>
+                    {ciState === "checked-in" ? `✓ Checked in · ${ciBooking.title || ciBooking.name}`
+                      : ciState === "awaiting" ? `⏳ Check in by ${timeLabel(fromMins(toMins(ciBooking.startHour) + catalog.checkIn.graceMinutes))}`
+                      : canRelease(room, ciBooking) ? "⚠ No check-in — releasing…" : "⚠ No check-in yet"}
+                  </span>
+                  {ciState !== "checked-in" && canCheckIn(room, ciBooking) && (
+                    <button className="checkin-btn" onClick={() => handleCheckIn(room.id, ciKey)}>Check in</button>
+                  )}
+                </div>
+              )}
+              {released && (
+                <div className="checkin-line checkin-released">
+                  ♻ Released at {new Date(released.at).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })} — no-show
                 </div>
               )}
               <div className="room-card-chips">
@@ -840,8 +3887,98 @@ export default function App() {
         })}
       </div>
 
-      {/* ══ BOOKING GRID ══ */}
-      <div className="grid-wrap">
+      {/* ══ WEEK GRID ══ */}
+      {viewMode === "week" ? (
+        <div className={"grid-wrap" + (offline ? " grid-stale" : "")}>
+          <div className="grid" style={{ minWidth: 66 + visibleDates.length * visibleRooms.length * 40 }}>
+            <div className="grid-header">
+              <div className="time-gutter" />
+              {visibleDates.map(date => (
+                <div key={date} className={"week-day" + (date === today ? " week-today" : "")}>
+                  <button className="week-day-name" onClick={() => showDay(date)} title="Open day view">
+                    {formatShortDate(date)}
+                  </button>
+                  <div className="week-day-rooms">
+                    {visibleRooms.map(room => (
+                      <span key={room.id} className="week-room" style={{ borderBottomColor: room.color }}
+                        title={[room.name, ...room.amenities.map(k => AMENITIES[k].label)].join(" · ")}>
+                        {room.name.slice(0, 3)}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid-body">
+              {gridSlots.map(({ value, label, end }, idx) => (
+                <div key={value} className={"grid-row" + (idx % 2 === 1 ? " row-alt" : "")}>
+                  <div className="time-label">{label}</div>
+                  {visibleDates.map(date => (
+                    <div key={date} className={"week-day-cells" + (date === today ? " week-today" : "")}>
+                      {visibleRooms.map(room => {
+                        const booking = bookingAt(room.id, date, value, end);
+                        if (booking?.allDay) {
+                          return (
+                            <div key={room.id} className="week-cell week-allday"
+                              style={{ background: room.color + "18", borderColor: room.color + "60" }}
+                              onClick={() => openView(date, room, booking)}
+                              title={`${room.name} · ${booking.name} · all day`}
+                            />
+                          );
+                        }
+                        if (booking) return <div key={room.id} className="week-cell" />;
+                        if (!isSlotOpen(room, date, { value, end })) return <div key={room.id} className="week-cell week-closed" title={`${room.name} closed`} />;
+                        if (isPastSlot(date, value)) return <div key={room.id} className="week-cell week-past" />;
+                        return (
+                          <div key={room.id} className="week-cell week-free" style={{ "--room-color": room.color }}
+                            title={`Book ${room.name} · ${formatShortDate(date)} ${label}`}
+                            onClick={() => {
+                              if (authState !== "signed-in")
+                                showToast("Connect Outlook first to book a room", "error");
+                              else openModal(room.id, value, date);
+                            }}
+                          >＋</div>
+                        );
+                      })}
+                    </div>
+                  ))}
+                </div>
+              ))}
+
+              {/* Timed bookings, laid over the rows by start and end time */}
+              <div className="booking-layer">
+                {visibleDates.map(date => (
+                  <div key={date} className="week-day-layer">
+                    {visibleRooms.map(room => {
+                      const timed = Object.values(dateBookings[date]?.[room.id] || {}).filter(b => !b.allDay);
+                      const lanes = layoutLanes(timed);
+                      return (
+                        <div key={room.id} className="booking-col">
+                          {timed.map(booking => (
+                            <div key={booking.key}
+                              className={"week-cell week-booked booking-block" + (booking.roomStatus === "pending" ? " booking-pending" : "")
+                                + (approvalOf(room, booking) === "pending" ? " booking-hold" : "")}
+                              style={{ ...blockStyle(booking, lanes.get(booking)), background: room.color + "30", borderColor: room.color }}
+                              onClick={() => openView(date, room, booking)}
+                              title={`${room.name} · ${booking.name} · ${booking.startHour}–${booking.endHour}`}
+                            >
+                              <span style={{ color: room.accent }}>{booking.name}</span>
+                            </div>
+                          ))}
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      ) : (
+
+      /* ══ BOOKING GRID ══ */
+      <div className={"grid-wrap" + (offline ? " grid-stale" : "")}>
         <div className="grid">
           {/* Column headers */}
           <div className="grid-header">
@@ -849,60 +3986,45 @@ export default function App() {
             {visibleRooms.map(room => (
               <div key={room.id} className="col-header" style={{ borderBottomColor: room.color }}>
                 <span className="col-name">{room.name}</span>
-                <span className="col-cap">{room.capacity}p max</span>
+                <span className="col-cap">{room.capacity}p max{room.floor ? ` · Fl ${room.floor}` : ""}</span>
+                {room.amenities.length > 0 && <span className="col-amen">{amenityIcons(room)}</span>}
+                {Object.values(currentBookings[room.id] || {}).filter(b => b.allDay).map(booking => (
+                  <button key={booking.key} className="allday-chip" style={{ background: room.color + "26", color: room.accent }}
+                    onClick={() => setViewModal({ booking, roomId: room.id, key: booking.key, room })}
+                    title={`${booking.name} · all day`}
+                  >
+                    All day · {booking.title || booking.name}
+                  </button>
+                ))}
               </div>
             ))}
           </div>
 
           {/* Rows */}
-          <div className="grid-body" style={{ position: "relative" }}>
-            {HOURS.map(({ value, label }, idx) => (
+          <div className="grid-body">
+            {gridSlots.map(({ value, label, end }, idx) => (
               <div key={value} className={"grid-row" + (idx % 2 === 1 ? " row-alt" : "")}>
                 <div className="time-label">{label}</div>
                 {visibleRooms.map(room => {
-                  const booking = currentBookings[room.id]?.[value];
+                  const booking = bookingAt(room.id, activeDate, value, end);
                   const past    = isPastSlot(activeDate, value);
-
-                  if (booking?.isSpan) {
-                    return (
-                      <div key={room.id} className="slot-cell">
-                        <div className="slot slot-span" style={{ background: room.color + "18", borderColor: room.color + "50" }} />
-                      </div>
-                    );
-                  }
+                  const closed  = !isSlotOpen(room, activeDate, { value, end });
 
                   if (booking) {
-                    const isOwn = userInfo &&
-                      booking.organizerEmail?.toLowerCase() === (userInfo.mail || userInfo.userPrincipalName || "").toLowerCase();
                     return (
                       <div key={room.id} className="slot-cell">
-                        <div
-                          className="slot slot-booked"
-                          style={{ background: room.color + "26", borderColor: room.color + "80" }}
-                          onClick={() => setViewModal({ booking, roomId: room.id, hour: value, room })}
-                          title={`${booking.name} · until ${HOURS.find(h => h.value === booking.endHour)?.label || booking.endHour}`}
-                        >
-                          <div className="booking-name" style={{ color: room.accent }}>{booking.name}</div>
-                          {booking.title && booking.title !== booking.name && (
-                            <div className="booking-title">{booking.title.replace(`[${room.name}] `, "")}</div>
-                          )}
-                          <div className="booking-meta">
-                            <span>until {HOURS.find(h => h.value === booking.endHour)?.label || booking.endHour}</span>
-                            {booking.outlookEventId && <span title="Synced with Outlook"> 📅</span>}
-                            {booking.attendeeCount > 0 && <span title={`${booking.attendeeCount} attendees`}> 👥{booking.attendeeCount}</span>}
-                            {isOwn && <span className="own-tag">you</span>}
-                          </div>
-                          {(!booking.synced || !booking.organizerEmail || booking.organizerEmail.toLowerCase() === (userInfo?.mail || userInfo?.userPrincipalName || "").toLowerCase()) && (
-                            <button className="cancel-btn" onClick={()=>handleCancel(room.id,value)} title="Cancel">✕</button>
-                          )}
-                        </div>
+                        {booking.allDay
+                          ? <div className="slot slot-allday" style={{ background: room.color + "18", borderColor: room.color + "50" }} />
+                          : <div className="slot" />}
                       </div>
                     );
                   }
 
                   return (
                     <div key={room.id} className="slot-cell">
-                      {past
+                      {closed
+                        ? <div className="slot slot-closed" title={`${room.name} is closed`} />
+                        : past
                         ? <div className="slot slot-past" />
                         : (
                           <div
@@ -925,6 +4047,50 @@ export default function App() {
               </div>
             ))}
 
+            {/* Timed bookings, laid over the rows by start and end time; overlaps sit side by side */}
+            <div className="booking-layer">
+              {visibleRooms.map(room => {
+                const timed = Object.values(currentBookings[room.id] || {}).filter(b => !b.allDay);
+                const lanes = layoutLanes(timed);
+                return (
+                  <div key={room.id} className="booking-col booking-col-day">
+                    {timed.map(booking => {
+                      const isOwn = userInfo &&
+                        booking.organizerEmail?.toLowerCase() === (userInfo.mail || userInfo.userPrincipalName || "").toLowerCase();
+                      return (
+                        <div key={booking.key}
+                          className={"slot slot-booked booking-block" + (booking.roomStatus === "pending" ? " booking-pending" : "")
+                            + (approvalOf(room, booking) === "pending" ? " booking-hold" : "")}
+                          style={{ ...blockStyle(booking, lanes.get(booking)), background: room.color + "26", borderColor: room.color + "80" }}
+                          onClick={() => setViewModal({ booking, roomId: room.id, key: booking.key, room })}
+                          title={`${booking.name} · ${timeLabel(booking.startHour)} – ${timeLabel(booking.endHour)}`}
+                        >
+                          <div className="booking-name" style={{ color: room.accent }}>{booking.name}</div>
+                          {booking.title && booking.title !== booking.name && (
+                            <div className="booking-title">{booking.title.replace(`[${room.name}] `, "")}</div>
+                          )}
+                          <div className="booking-meta">
+                            <span>{timeLabel(booking.startHour)} – {timeLabel(booking.endHour)}</span>
+                            {booking.outlookEventId && <span title="Synced with Outlook"> 📅</span>}
+                            {booking.queued && <span title="Waiting for a connection to send to Outlook"> ⏳</span>}
+                            {booking.seriesMasterId && <span title="Recurring booking"> 🔁</span>}
+                            {booking.attendeeCount > 0 && <span title={`${booking.attendeeCount} attendees`}> 👥{booking.attendeeCount}</span>}
+                            {isOwn && <span className="own-tag">you</span>}
+                            {booking.roomStatus === "pending" && <span className="status-tag" title={`Waiting for ${room.name} to accept`}>pending</span>}
+                            {approvalOf(room, booking) === "pending" && <span className="status-tag status-hold" title="Held until an approver responds">awaiting approval</span>}
+                            {isOwn && booking.roomStatus === "accepted" && <span title={`Accepted by ${room.name}`}> ✓</span>}
+                          </div>
+                          {(!booking.synced || !booking.organizerEmail || booking.organizerEmail.toLowerCase() === (userInfo?.mail || userInfo?.userPrincipalName || "").toLowerCase()) && (
+                            <button className="cancel-btn" onClick={e => { e.stopPropagation(); handleCancel(room.id, booking.key); }} title="Cancel">✕</button>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                );
+              })}
+            </div>
+
             {/* Current time indicator */}
             {timelinePos !== null && (
               <div className="time-line" style={{ top: `calc(${timelinePos * 100}% - 1px)` }}>
@@ -935,10 +4101,11 @@ export default function App() {
           </div>
         </div>
       </div>
+      )}
 
       {/* ══ BOOKING MODAL ══ */}
       {modal && (() => {
-        const room = ROOMS.find(r => r.id === modal.roomId);
+        const room = rooms.find(r => r.id === modal.roomId);
         return (
           <div className="overlay" onClick={() => setModal(null)}>
             <div className="modal" onClick={e => e.stopPropagation()}>
@@ -946,15 +4113,34 @@ export default function App() {
                 <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
                   <div className="room-dot" style={{ background: room.color, width: 12, height: 12 }} />
                   <div>
-                    <div className="modal-title">Book {room.name}</div>
+                    <div className="modal-title">{modal.edit ? "Edit Booking" : `Book ${room.name}`}</div>
                     <div className="modal-sub">
-                      {HOURS.find(h => h.value === modal.startHour)?.label} · {formatShortDate(activeDate)} · max {room.capacity} pax
+                      {timeLabel(modal.startHour)}{roomTimeNote(room, activeDate, modal.startHour)} · {formatShortDate(activeDate)} · max {room.capacity} pax
+                      {" "}· {countHeadcount(form.email, form.emails)} attending
                     </div>
                   </div>
                 </div>
                 <button className="close-btn" onClick={() => setModal(null)}>✕</button>
               </div>
 
+              {/* Room (edit mode only) */}
+              {modal.edit && (
+                <div className="field">
+                  <label className="field-lbl">Room</label>
+                  <select className="field-inp" value={modal.roomId}
+                    onChange={e => setModal(m => ({ ...m, roomId: e.target.value }))}>
+                    {rooms.map(r => {
+                      const taken = r.id !== modal.edit.roomId &&
+                        hasSlotConflict(r.id, modal.startHour, form.endHour || modal.startHour, modal.edit.booking.outlookEventId);
+                      return <option key={r.id} value={r.id} disabled={taken}>{r.name} · {r.capacity}p{taken ? " (busy)" : ""}</option>;
+                    })}
+                  </select>
+                  {modal.edit.booking.seriesMasterId && (
+                    <div className="field-hint">Changes apply to this occurrence only</div>
+                  )}
+                </div>
+              )}
+
               {/* Meeting title */}
               <div className="field">
                 <label className="field-lbl">Meeting Title</label>
@@ -967,7 +4153,7 @@ export default function App() {
                 <div className="field">
                   <label className="field-lbl">Start Time</label>
                   <input className="field-inp field-disabled"
-                    value={HOURS.find(h => h.value === modal.startHour)?.label} disabled />
+                    value={timeLabel(modal.startHour)} disabled />
                 </div>
                 <div className="field">
                   <label className="field-lbl">End Time</label>
@@ -981,13 +4167,89 @@ export default function App() {
 
               {/* Quick duration */}
               <div className="dur-row">
-                {[30, 60, 90, 120].map(m => (
+                {durations.map(m => (
                   <button key={m} className="dur-btn" onClick={() => applyDuration(m)}>
                     {m < 60 ? `${m}m` : `${m / 60}h`}
                   </button>
                 ))}
               </div>
 
+              {/* Recurrence */}
+              {!modal.edit && <div className="field">
+                <label className="field-lbl">Repeat</label>
+                <div className="field-row" style={{ marginBottom: 0 }}>
+                  <div className="field">
+                    <select className="field-inp" value={form.recurrence.pattern}
+                      onChange={e => setRecurrence({ pattern: e.target.value })}>
+                      <option value="none">Does not repeat</option>
+                      <option value="daily">Daily</option>
+                      <option value="weekly">Weekly</option>
+                      <option value="monthly">Monthly (day {+activeDate.slice(8, 10)})</option>
+                    </select>
+                  </div>
+                  {form.recurrence.pattern !== "none" && (
+                    <div className="field rec-interval">
+                      <span>every</span>
+                      <input className="field-inp" type="number" min={1} max={12} value={form.recurrence.interval}
+                        onChange={e => setRecurrence({ interval: e.target.value })} />
+                      <span>{{ daily: "day(s)", weekly: "week(s)", monthly: "month(s)" }[form.recurrence.pattern]}</span>
+                    </div>
+                  )}
+                </div>
+              </div>}
+              {form.recurrence.pattern === "weekly" && (
+                <div className="dur-row">
+                  {[...WEEKDAYS.slice(1), WEEKDAYS[0]].map(d => (
+                    <button key={d}
+                      className={"dur-btn" + (form.recurrence.daysOfWeek.includes(d) ? " dur-btn-on" : "")}
+                      onClick={() => toggleWeekday(d)}>{WEEKDAY_LABELS[d]}</button>
+                  ))}
+                </div>
+              )}
+              {form.recurrence.pattern !== "none" && (
+                <div className="field-row">
+                  <div className="field">
+                    <label className="field-lbl">Ends</label>
+                    <select className="field-inp" value={form.recurrence.endType}
+                      onChange={e => setRecurrence({ endType: e.target.value })}>
+                      <option value="count">After a number of times</option>
+                      <option value="date">On a date</option>
+                    </select>
+                  </div>
+                  <div className="field">
+                    <label className="field-lbl">{form.recurrence.endType === "date" ? "End Date" : "Occurrences"}</label>
+                    {form.recurrence.endType === "date"
+                      ? <input className="field-inp" type="date" min={activeDate} value={form.recurrence.endDate}
+                          onChange={e => setRecurrence({ endDate: e.target.value })} />
+                      : <input className="field-inp" type="number" min={1} max={MAX_OCCURRENCES} value={form.recurrence.count}
+                          onChange={e => setRecurrence({ count: e.target.value })} />}
+                  </div>
+                </div>
+              )}
+              {form.recurrence.pattern !== "none" && (
+                <div className="rec-summary">
+                  <div>🔁 {describeRecurrence(form.recurrence)} · {Math.min(occurrences.length, MAX_OCCURRENCES)}{occurrences.length > MAX_OCCURRENCES ? "+" : ""} occurrences</div>
+                  {seriesCheck?.status === "checking" && <div className="rec-status">Checking room calendar…</div>}
+                  {seriesCheck?.status === "error" && <div className="rec-status">⚠ Couldn't check the room calendar for conflicts</div>}
+                  {seriesCheck?.status === "done" && !seriesCheck.conflicts.length && (
+                    <div className="rec-status rec-ok">✓ No conflicts in {room.name}</div>
+                  )}
+                  {seriesCheck?.status === "done" && seriesCheck.conflicts.length > 0 && (
+                    <div className="rec-conflicts">
+                      <div className="rec-status rec-bad">
+                        ⚠ {seriesCheck.conflicts.length} occurrence{seriesCheck.conflicts.length > 1 ? "s" : ""} clash with existing bookings — the room may decline them
+                      </div>
+                      {seriesCheck.conflicts.map(c => (
+                        <div key={c.date} className="rec-conflict">
+                          <span>{formatShortDate(c.date)}</span>
+                          <span>{c.name} · {c.startHour}–{c.endHour}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Organizer */}
               <div className="field-row">
                 <div className="field">
@@ -1050,14 +4312,166 @@ export default function App() {
                       );
                     })}
                   </div>
-                )}
-                <div className="field-hint">Type a name to search the org directory, or enter an email and press Enter</div>
-              </div>
+                )}
+                <div className="field-hint">Type a name to search the org directory, or enter an email and press Enter</div>
+              </div>
+
+              {/* Teams meeting */}
+              {authState === "signed-in" && (() => {
+                const locked    = !!modal.edit?.online;
+                const suggested = !modal.edit && suggestsOnline(room, form.email, form.emails);
+                return (
+                  <label className={"online-toggle" + (locked ? " online-locked" : "")}>
+                    <input type="checkbox" checked={locked || (form.online ?? suggested)} disabled={locked}
+                      onChange={e => setForm(f => ({ ...f, online: e.target.checked }))} />
+                    <span>
+                      <strong>🎥 Teams meeting</strong>
+                      <span className="field-hint">
+                        {locked ? "The join link stays with this meeting"
+                          : form.online === null && suggested
+                            ? (hasExternal(form.email, form.emails) ? "On because some attendees are outside your organization" : `On because ${room.name} is a small room`)
+                            : "Adds a Teams join link to the invite"}
+                      </span>
+                    </span>
+                  </label>
+                );
+              })()}
+
+              {/* Services for facilities */}
+              {authState === "signed-in" && catalog.facilities.mailbox && (
+                !form.services ? (
+                  <button className="btn btn-ghost btn-sm services-add"
+                    onClick={() => setForm(f => ({ ...f, services: { catering: [], layout: "", notes: "" } }))}>
+                    🍽 Add catering &amp; setup
+                  </button>
+                ) : (
+                  <div className="services-box">
+                    <div className="services-head">
+                      <span>🍽 Services</span>
+                      <button className="services-remove" onClick={() => setForm(f => ({ ...f, services: null }))}>Remove</button>
+                    </div>
+                    <div className="services-items">
+                      {catalog.facilities.catering.map(item => {
+                        const line = form.services.catering.find(c => c.item === item);
+                        return (
+                          <div key={item} className="services-item">
+                            <label>
+                              <input type="checkbox" checked={!!line} onChange={() => toggleCatering(item)} /> {item}
+                            </label>
+                            {line && (
+                              <span className="services-count">
+                                <input className="field-inp" type="number" min={1} value={line.count}
+                                  onChange={e => setServices({ catering: form.services.catering.map(c => c.item === item ? { ...c, count: e.target.value } : c) })} />
+                                people
+                              </span>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                    <div className="field">
+                      <label className="field-lbl">Room layout</label>
+                      <select className="field-inp" value={form.services.layout} onChange={e => setServices({ layout: e.target.value })}>
+                        <option value="">Leave as it is</option>
+                        {catalog.facilities.layouts.map(l => <option key={l} value={l}>{l}</option>)}
+                      </select>
+                    </div>
+                    <div className="field">
+                      <label className="field-lbl">Setup notes</label>
+                      <textarea className="field-inp" rows={2} placeholder="e.g. Lunch at 12:30, projector cable for a Mac"
+                        value={form.services.notes} onChange={e => setServices({ notes: e.target.value })} />
+                    </div>
+                    <div className="field-hint">Sent to {catalog.facilities.mailbox} when you book, change or cancel</div>
+                  </div>
+                )
+              )}
+
+              {/* Suggested times */}
+              {authState === "signed-in" && form.emails.length > 0 && (() => {
+                const anyBusy = form.emails.some(e => availability[e] > 0);
+                const result  = timeSuggest?.key === suggestKey ? timeSuggest : null;
+                return (
+                  <div className="suggest-box">
+                    <div className="suggest-head">
+                      <span>{anyBusy ? "Some attendees aren't free at this time." : "Check when everyone is free today."}</span>
+                      <button className={"btn btn-sm " + (anyBusy ? "btn-primary" : "btn-ghost")}
+                        onClick={suggestTimes} disabled={result?.status === "loading"}>
+                        {result?.status === "loading" ? <><span className="spin-sm" />Finding…</> : "Suggest times"}
+                      </button>
+                    </div>
+                    {result?.status === "error" && (
+                      <div className="suggest-empty">Couldn't get suggestions from Outlook. Try again in a moment.</div>
+                    )}
+                    {result?.status === "done" && !result.items.length && (
+                      <div className="suggest-empty">
+                        {result.emptyReason === "locationsUnavailable" ? `${room.name} has no free time left today.`
+                          : result.emptyReason === "organizerUnavailable" ? "You have no free time left today."
+                          : "No time works for everyone today. Try another day or fewer attendees."}
+                      </div>
+                    )}
+                    {result?.items.length > 0 && (
+                      <div className="suggest-list">
+                        {result.items.map(s => (
+                          <button key={s.startHour}
+                            className={"suggest-slot" + (s.startHour === modal.startHour && s.endHour === form.endHour ? " suggest-on" : "")}
+                            title={s.busy.length ? `Not free: ${s.busy.join(", ")}` : s.reason}
+                            onClick={() => applySuggestion(s)}>
+                            <span className="suggest-time">{timeLabel(s.startHour)} – {timeLabel(s.endHour)}</span>
+                            <span className={"suggest-conf " + (s.confidence >= 100 ? "high" : s.confidence >= 50 ? "mid" : "low")}>
+                              {s.confidence}%
+                            </span>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })()}
+
+              {/* Capacity */}
+              {(() => {
+                const people = countHeadcount(form.email, form.emails);
+                if (!isOverCapacity(room, people)) return null;
+                const blocked = catalog.capacityPolicy === "block";
+                const fits = form.endHour
+                  ? roomsThatFit(people, modal.startHour, form.endHour, room.id, modal.edit?.booking.outlookEventId)
+                  : [];
+                return (
+                  <div className={"notice cap-notice " + (blocked ? "notice-error" : "notice-warn")}>
+                    <div>
+                      ⚠ {room.name} fits {room.capacity} — this meeting has {people} people (you + {people - 1} invited).
+                      {blocked && " Bookings over capacity aren't allowed."}
+                    </div>
+                    {fits.length > 0 ? (
+                      <div className="cap-suggest">
+                        <span>Free at this time:</span>
+                        {fits.slice(0, 3).map(r => (
+                          <button key={r.id} className="cap-room" style={{ borderColor: r.color, color: r.accent }}
+                            onClick={() => setModal(m => ({ ...m, roomId: r.id }))}>
+                            {r.name} · {r.capacity}p
+                          </button>
+                        ))}
+                      </div>
+                    ) : (
+                      <div className="cap-suggest">No larger room is free for this time.</div>
+                    )}
+                  </div>
+                );
+              })()}
+
+              {/* Booking policy */}
+              {policyErrors.length > 0 && (
+                <div className="notice notice-error policy-notice">
+                  {policyErrors.map(msg => <div key={msg}>⚠ {msg}</div>)}
+                </div>
+              )}
 
               {/* Outlook notice */}
               {authState === "signed-in" ? (
                 <div className="notice notice-info">
-                  <MsLogo /> Outlook calendar invite will be sent to all attendees
+                  <MsLogo /> {modal.edit
+                    ? "Attendees will receive an updated invite, not a cancellation"
+                    : "Outlook calendar invite will be sent to all attendees"}
                 </div>
               ) : (
                 <div className="notice notice-warn">
@@ -1068,8 +4482,11 @@ export default function App() {
               <div className="modal-foot">
                 <button className="btn btn-ghost" onClick={() => setModal(null)}>Cancel</button>
                 <button className="btn btn-primary" onClick={handleBook}
-                  disabled={isLoading || !form.name.trim() || !form.endHour}>
-                  {isLoading ? <><span className="spin-sm" />Saving…</> : "Confirm Booking"}
+                  disabled={isLoading || !form.name.trim() || !form.endHour || (modal.edit && !modal.edit.eventId)}>
+                  {isLoading ? <><span className="spin-sm" />Saving…</>
+                    : modal.edit ? (modal.edit.eventId ? "Save Changes" : "Loading…")
+                    : form.recurrence.pattern !== "none" ? `Book ${Math.min(occurrences.length, MAX_OCCURRENCES)} Occurrences`
+                    : "Confirm Booking"}
                 </button>
               </div>
             </div>
@@ -1088,9 +4505,8 @@ export default function App() {
                   <div className="modal-title">{viewModal.booking.title || viewModal.booking.name}</div>
                   <div className="modal-sub">
                     {viewModal.room.name} ·{" "}
-                    {HOURS.find(h => h.value === viewModal.booking.startHour || h.value === viewModal.hour)?.label}
-                    {" – "}
-                    {HOURS.find(h => h.value === viewModal.booking.endHour)?.label || viewModal.booking.endHour}
+                    {viewModal.booking.allDay ? "All day" : timeLabel(viewModal.booking.startHour)}
+                    {!viewModal.booking.allDay && <>{" – "}{timeLabel(viewModal.booking.endHour)}{roomTimeNote(viewModal.room, activeDate, viewModal.booking.startHour)}</>}
                   </div>
                 </div>
               </div>
@@ -1111,18 +4527,87 @@ export default function App() {
                   <span className="view-val">{viewModal.booking.attendeeCount} people invited</span>
                 </div>
               )}
+              {viewModal.booking.joinUrl && (
+                <div className="view-row">
+                  <span className="view-lbl">Teams</span>
+                  <a className="view-val join-link" href={viewModal.booking.joinUrl} target="_blank" rel="noreferrer">🎥 Join Teams meeting</a>
+                </div>
+              )}
+              {viewModal.booking.services && (
+                <div className="view-row">
+                  <span className="view-lbl">Services</span>
+                  <span className="view-val">
+                    🍽 {servicesSummary(viewModal.booking.services) || "Setup notes"}
+                    {viewModal.booking.services.notes && <span className="services-notes">{viewModal.booking.services.notes}</span>}
+                  </span>
+                </div>
+              )}
+              {viewModal.booking.seriesMasterId && (
+                <div className="view-row">
+                  <span className="view-lbl">Repeats</span>
+                  <span className="view-val">🔁 Part of a recurring series</span>
+                </div>
+              )}
+              {(() => {
+                const state = checkInOf(viewModal.roomId, viewModal.booking);
+                if (!state) return null;
+                const entry    = checkIns[checkInKey(activeDate, viewModal.roomId, viewModal.booking.startHour)];
+                const deadline = timeLabel(fromMins(toMins(viewModal.booking.startHour) + catalog.checkIn.graceMinutes));
+                return (
+                  <div className="view-row">
+                    <span className="view-lbl">Check-in</span>
+                    <span className={"view-val checkin-" + state}>
+                      {state === "checked-in" ? `✓ Checked in at ${new Date(entry.at).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}`
+                        : state === "awaiting" ? `⏳ Awaiting check-in${viewModal.room.display ? " at the room display" : ""} — released at ${deadline} if nobody checks in`
+                        : state === "released" ? "♻ Released — nobody checked in"
+                        : `⚠ Not checked in by ${deadline}`}
+                    </span>
+                  </div>
+                );
+              })()}
+              {viewModal.booking.queued && (
+                <div className="view-row">
+                  <span className="view-lbl">Outlook</span>
+                  <span className="view-val" style={{ color: "#9A6F00" }}>⏳ Saved offline — sends when you reconnect</span>
+                </div>
+              )}
               {viewModal.booking.outlookEventId && (
                 <div className="view-row">
                   <span className="view-lbl">Outlook</span>
                   <span className="view-val" style={{ color: "#0078D4" }}>📅 Synced with calendar</span>
                 </div>
               )}
+              {approvalOf(viewModal.room, viewModal.booking) && (
+                <div className="view-row">
+                  <span className="view-lbl">Approval</span>
+                  {approvalOf(viewModal.room, viewModal.booking) === "pending" ? (
+                    <span className="view-val approval-pending">⌛ Held until {viewModal.room.approvers.join(" or ")} approves</span>
+                  ) : (
+                    <span className="view-val room-status-accepted">✓ Approved</span>
+                  )}
+                </div>
+              )}
+              {viewModal.booking.roomStatus && (
+                <div className="view-row">
+                  <span className="view-lbl">Room</span>
+                  <span className={"view-val room-status-" + viewModal.booking.roomStatus}>
+                    {viewModal.booking.roomStatus === "accepted" ? `✓ Accepted by ${viewModal.room.name}` : `⌛ Waiting for ${viewModal.room.name} to accept`}
+                  </span>
+                </div>
+              )}
             </div>
             <div className="modal-foot">
               <button className="btn btn-ghost" onClick={() => setViewModal(null)}>Close</button>
+              <button className="btn btn-ghost" title="Download for another calendar app" onClick={() => exportBookingIcs(viewModal)}>⬇ .ics</button>
+              {canCheckIn(viewModal.room, viewModal.booking) && ["awaiting", "missed"].includes(checkInOf(viewModal.roomId, viewModal.booking)) && (
+                <button className="btn btn-primary" onClick={() => handleCheckIn(viewModal.roomId, viewModal.key)}>Check In</button>
+              )}
+              {canCancel(viewModal.booking) && viewModal.booking.outlookEventId && authState === "signed-in" && (
+                <button className="btn btn-ghost" onClick={() => openEdit(viewModal.roomId, viewModal.key)}>Edit</button>
+              )}
               {canCancel(viewModal.booking) && (
                 <button className="btn btn-danger" onClick={() => {
-                  setConfirmCancel({ roomId: viewModal.roomId, hour: viewModal.hour });
+                  handleCancel(viewModal.roomId, viewModal.key);
                   setViewModal(null);
                 }}>Cancel Booking</button>
               )}
@@ -1132,23 +4617,524 @@ export default function App() {
       )}
 
       {/* ══ CONFIRM CANCEL ══ */}
-      {confirmCancel && (
-        <div className="overlay" onClick={() => setConfirmCancel(null)}>
-          <div className="modal modal-sm" onClick={e => e.stopPropagation()}>
-            <div className="modal-title" style={{ marginBottom: 8 }}>Cancel this booking?</div>
-            <p className="modal-body-text">
-              This will remove the booking and delete the Outlook calendar event for all attendees.
-            </p>
+      {confirmCancel && (() => {
+        const isSeries = !!currentBookings[confirmCancel.roomId]?.[confirmCancel.key]?.seriesMasterId;
+        return (
+          <div className="overlay" onClick={() => setConfirmCancel(null)}>
+            <div className="modal modal-sm" onClick={e => e.stopPropagation()}>
+              <div className="modal-title" style={{ marginBottom: 8 }}>Cancel this booking?</div>
+              <p className="modal-body-text">
+                This will remove the booking and delete the Outlook calendar event for all attendees.
+              </p>
+              {isSeries && (
+                <div className="scope-list">
+                  {[
+                    ["occurrence", "This occurrence", formatShortDate(activeDate)],
+                    ["following",  "This and following", `From ${formatShortDate(activeDate)} onwards`],
+                    ["series",     "The whole series", "Every occurrence, past and future"],
+                  ].map(([value, label, hint]) => (
+                    <label key={value} className={"scope-opt" + (confirmCancel.scope === value ? " scope-on" : "")}>
+                      <input type="radio" name="cancel-scope" checked={confirmCancel.scope === value}
+                        onChange={() => setConfirmCancel(c => ({ ...c, scope: value }))} />
+                      <span><strong>{label}</strong><span className="scope-hint">{hint}</span></span>
+                    </label>
+                  ))}
+                </div>
+              )}
+              <div className="modal-foot">
+                <button className="btn btn-ghost" onClick={() => setConfirmCancel(null)}>Keep it</button>
+                <button className="btn btn-danger" onClick={() => doCancel(confirmCancel.roomId, confirmCancel.key, confirmCancel.scope)}>
+                  Yes, cancel {isSeries && confirmCancel.scope !== "occurrence" ? "series" : "booking"}
+                </button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* ══ ROOM FINDER ══ */}
+      {finder && (
+        <div className="overlay" onClick={() => setFinder(null)}>
+          <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+            <div className="modal-head">
+              <div>
+                <div className="modal-title">Find a Room</div>
+                <div className="modal-sub">Tell us who and how long — we'll find where and when</div>
+              </div>
+              <button className="close-btn" onClick={() => setFinder(null)}>✕</button>
+            </div>
+
+            <div className="field-row">
+              <div className="field">
+                <label className="field-lbl">Duration</label>
+                <select className="field-inp" value={finder.duration}
+                  onChange={e => setFinder(f => ({ ...f, duration: +e.target.value }))}>
+                  {[15, 30, 45, 60, 90, 120, 180].filter(m => m % hours.slotMinutes === 0).map(m => (
+                    <option key={m} value={m}>{m < 60 ? `${m} min` : `${m / 60} hour${m > 60 ? "s" : ""}`}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="field">
+                <label className="field-lbl">People (incl. you)</label>
+                <input className="field-inp" type="number" min={1} value={finder.people}
+                  onChange={e => setFinder(f => ({ ...f, people: e.target.value }))} />
+              </div>
+            </div>
+
+            <div className="field">
+              <label className="field-lbl">When</label>
+              <select className="field-inp" value={finder.when}
+                onChange={e => setFinder(f => ({ ...f, when: e.target.value }))}>
+                {FINDER_WHEN.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            {finder.when === "custom" && (
+              <div className="field-row">
+                <div className="field">
+                  <label className="field-lbl">Date</label>
+                  <input className="field-inp" type="date" min={today} value={finder.date}
+                    onChange={e => setFinder(f => ({ ...f, date: e.target.value }))} />
+                </div>
+                <div className="field">
+                  <label className="field-lbl">From</label>
+                  <input className="field-inp" type="time" step={hours.slotMinutes * 60} value={finder.from}
+                    onChange={e => setFinder(f => ({ ...f, from: e.target.value }))} />
+                </div>
+                <div className="field">
+                  <label className="field-lbl">To</label>
+                  <input className="field-inp" type="time" step={hours.slotMinutes * 60} value={finder.to}
+                    onChange={e => setFinder(f => ({ ...f, to: e.target.value }))} />
+                </div>
+              </div>
+            )}
+
+            {amenityKeys.length > 0 && (
+              <div className="field">
+                <label className="field-lbl">Equipment</label>
+                <div className="amenity-picks">
+                  {amenityKeys.map(k => {
+                    const on = finder.amenities.includes(k);
+                    return (
+                      <button key={k} className={"amenity-chip" + (on ? " amenity-on" : "")} aria-pressed={on}
+                        onClick={() => setFinder(f => ({ ...f, amenities: on ? f.amenities.filter(x => x !== k) : [...f.amenities, k] }))}>
+                        {AMENITIES[k].icon} {AMENITIES[k].label}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            <div className="field">
+              <label className="field-lbl">Attendees (optional — checks their calendars)</label>
+              <div className="att-row">
+                <input className="field-inp" type="email" placeholder="name@company.com"
+                  value={finder.emailInput}
+                  onChange={e => setFinder(f => ({ ...f, emailInput: e.target.value }))}
+                  onKeyDown={e => { if (e.key === "Enter" || e.key === ",") { e.preventDefault(); addFinderEmail(); } }}
+                  style={{ flex: 1 }} />
+                <button className="btn btn-ghost btn-sm" onClick={addFinderEmail}>+ Add</button>
+              </div>
+              {finder.emails.length > 0 && (
+                <div className="tag-list">
+                  {finder.emails.map(e => (
+                    <span key={e} className="tag">
+                      {e}<button onClick={() => setFinder(f => ({ ...f, emails: f.emails.filter(x => x !== e) }))}>×</button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <button className="btn btn-primary finder-go" onClick={runFinder} disabled={finder.status === "searching"}>
+              {finder.status === "searching" ? <><span className="spin-sm" />Searching…</> : "Search"}
+            </button>
+
+            {finder.status === "done" && (
+              <div className="finder-results">
+                {!finder.results.length && (
+                  <div className="finder-empty">No room{finder.amenities.length ? " with that equipment" : ""} is free for that long in this window. Try a shorter meeting or another day.</div>
+                )}
+                {finder.results.map(opt => (
+                  <div key={`${opt.date}|${opt.room.id}|${opt.startHour}`} className="finder-row"
+                    style={{ borderLeftColor: opt.room.color }}>
+                    <div className="finder-main">
+                      <div className="finder-room">
+                        {opt.room.name} <span>· {opt.room.capacity}p</span>
+                        {opt.room.amenities.length > 0 && <span className="finder-amen">{amenityIcons(opt.room)}</span>}
+                      </div>
+                      <div className="finder-when">
+                        {formatShortDate(opt.date)} · {timeLabel(opt.startHour)} – {timeLabel(opt.endHour)}
+                      </div>
+                    </div>
+                    {finder.emails.length > 0 && (
+                      <span className={"finder-av " + (opt.busy ? "busy" : opt.tentative ? "tentative" : "free")}>
+                        {opt.busy ? `${opt.busy} busy` : opt.tentative ? `${opt.tentative} tentative` : "All free"}
+                      </span>
+                    )}
+                    <button className="btn btn-primary btn-sm" onClick={() => pickFinderResult(opt)}>Book</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* ══ SERVICES ══ */}
+      {servicesView && (
+        <div className="overlay" onClick={() => setServicesView(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-head">
+              <div>
+                <div className="modal-title">Services</div>
+                <div className="modal-sub">
+                  Catering &amp; setup for {viewMode === "week" ? "this week" : formatShortDate(activeDate)}
+                </div>
+              </div>
+              <button className="close-btn" onClick={() => setServicesView(null)}>✕</button>
+            </div>
+
+            {!servicesItems.length ? (
+              <div className="finder-empty">No services requested.</div>
+            ) : (
+              <div className="services-list">
+                {servicesItems.map(x => (
+                  <div key={`${x.date}|${x.room.id}|${x.startHour}`} className="services-row" style={{ borderLeftColor: x.room.color }}>
+                    <div className="services-when">
+                      {visibleDates.length > 1 && `${formatShortDate(x.date)} · `}{timeLabel(x.startHour)} – {timeLabel(x.endHour)} · {x.room.name}
+                    </div>
+                    <div className="services-title">{x.title} <span>· {x.organizer}</span></div>
+                    <div className="services-what">{servicesSummary(x.services)}</div>
+                    {x.services.notes && <div className="services-notes">{x.services.notes}</div>}
+                  </div>
+                ))}
+              </div>
+            )}
+            {servicesUnread && (
+              <div className="field-hint">Couldn&apos;t read the facilities calendar, so only requests on your grid are listed — rooms that strip meeting details show only your own.</div>
+            )}
+
             <div className="modal-foot">
-              <button className="btn btn-ghost" onClick={() => setConfirmCancel(null)}>Keep it</button>
-              <button className="btn btn-danger" onClick={() => doCancel(confirmCancel.roomId, confirmCancel.hour)}>
-                Yes, cancel booking
+              <button className="btn btn-ghost" disabled={!servicesItems.length}
+                onClick={() => downloadCsv(`room-services-${visibleDates[0]}.csv`, servicesCsv(servicesItems))}>⬇ CSV</button>
+              <button className="btn btn-primary" disabled={!servicesComplete || !servicesItems.length || servicesView.status === "sending"} onClick={sendServicesList}>
+                {servicesView.status === "sending" ? <><span className="spin-sm" />Sending…</>
+                  : servicesView.status === "sent" ? "✓ Sent to facilities" : `✉ Email to ${catalog.facilities.mailbox}`}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ══ EXPORT ══ */}
+      {exporter && (
+        <div className="overlay" onClick={() => setExporter(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-head">
+              <div>
+                <div className="modal-title">Export Bookings</div>
+                <div className="modal-sub">For spreadsheets, printing and other calendar apps</div>
+              </div>
+              <button className="close-btn" onClick={() => setExporter(null)}>✕</button>
+            </div>
+
+            <div className="settings-section">
+              <div className="settings-section-title">Bookings list (CSV)</div>
+              <p className="settings-desc">
+                Every room on screen for {viewMode === "week" ? "this week" : formatShortDate(activeDate)}, one row per booking.
+              </p>
+              <button className="btn btn-ghost btn-sm" onClick={() => { exportViewCsv(); setExporter(null); }}>⬇ Download CSV</button>
+            </div>
+
+            <div className="settings-section">
+              <div className="settings-section-title">Room calendar (.ics)</div>
+              <p className="settings-desc">One room&apos;s bookings over a date range, to import into another calendar app.</p>
+              <div className="field">
+                <label className="field-lbl">Room</label>
+                <select className="field-inp" value={exporter.roomId}
+                  onChange={e => setExporter(x => ({ ...x, roomId: e.target.value }))}>
+                  {rooms.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                </select>
+              </div>
+              <div className="field-row">
+                <div className="field">
+                  <label className="field-lbl">From</label>
+                  <input className="field-inp" type="date" value={exporter.from}
+                    onChange={e => setExporter(x => ({ ...x, from: e.target.value }))} />
+                </div>
+                <div className="field">
+                  <label className="field-lbl">To</label>
+                  <input className="field-inp" type="date" min={exporter.from} value={exporter.to}
+                    onChange={e => setExporter(x => ({ ...x, to: e.target.value }))} />
+                </div>
+              </div>
+              <button className="btn btn-primary btn-sm" disabled={exporter.status === "loading"} onClick={exportRoomIcs}>
+                {exporter.status === "loading" ? <><span className="spin-sm" />Loading…</> : "⬇ Download .ics"}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* ══ ROOM USAGE ══ */}
+      {analytics && (() => {
+        const { report } = analytics;
+        const withData = report ? report.rooms.filter(r => !r.noData) : [];
+        const topCount = report?.bookers[0]?.bookings || 1;
+        return (
+          <div className="overlay" onClick={() => setAnalytics(null)}>
+            <div className="modal modal-xl" onClick={e => e.stopPropagation()}>
+              <div className="modal-head">
+                <div>
+                  <div className="modal-title">Room Usage</div>
+                  <div className="modal-sub">From the room calendars · {formatShortDate(analytics.from)} – {formatShortDate(analytics.to)}</div>
+                </div>
+                <button className="close-btn" onClick={() => setAnalytics(null)}>✕</button>
+              </div>
+
+              <div className="usage-bar">
+                {ANALYTICS_RANGES.map(n => (
+                  <button key={n} className="dur-btn" disabled={analytics.status === "loading"}
+                    onClick={() => runAnalytics(addDays(today, 1 - n), today)}>Last {n} days</button>
+                ))}
+                <input className="field-inp" type="date" max={analytics.to} value={analytics.from}
+                  onChange={e => e.target.value && runAnalytics(e.target.value, analytics.to)} />
+                <span>to</span>
+                <input className="field-inp" type="date" max={today} value={analytics.to}
+                  onChange={e => e.target.value && runAnalytics(analytics.from, e.target.value)} />
+                <button className="btn btn-ghost btn-sm" disabled={analytics.status !== "done"} onClick={exportAnalytics}>⬇ CSV</button>
+              </div>
+
+              {analytics.status === "loading" && <div className="finder-empty"><span className="spin-sm" />Reading room calendars…</div>}
+              {analytics.status === "error" && <div className="finder-empty">Can&apos;t reach Microsoft 365 — check your connection and try again.</div>}
+
+              {report && (
+                <>
+                  <div className="usage-section">Occupancy</div>
+                  {report.rooms.map(r => (
+                    <div key={r.room.id} className="usage-row">
+                      <span className="usage-name"><span className="room-dot" style={{ background: r.room.color }} />{r.room.name}</span>
+                      {r.noData ? <span className="usage-none">No calendar access</span> : (
+                        <>
+                          <span className="usage-track"><span className="usage-fill" style={{ width: `${r.occupancy}%`, background: r.room.color }} /></span>
+                          <span className="usage-val">{r.occupancy}% · {Math.round(r.bookedMins / 60)} h · {r.bookings} booking{r.bookings === 1 ? "" : "s"}</span>
+                        </>
+                      )}
+                    </div>
+                  ))}
+
+                  {withData.length > 0 && report.hours.length > 0 && (
+                    <>
+                      <div className="usage-section">By hour of day</div>
+                      <div className="usage-heat-wrap">
+                        <table className="usage-heat">
+                          <thead>
+                            <tr><th />{report.hours.map(h => <th key={h}>{timeLabel(fromMins(h * 60)).replace(":00", "")}</th>)}</tr>
+                          </thead>
+                          <tbody>
+                            {withData.map(r => (
+                              <tr key={r.room.id}>
+                                <th>{r.room.name}</th>
+                                {report.hours.map(h => (
+                                  <td key={h} title={r.byHour[h] == null ? "Closed" : `${r.byHour[h]}% booked`}
+                                    style={r.byHour[h] == null ? undefined : { background: `color-mix(in srgb, ${r.room.color} ${r.byHour[h]}%, #F7F7F7)` }}>
+                                    {r.byHour[h] ?? ""}
+                                  </td>
+                                ))}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+
+                      <div className="usage-section">Size, listed cancellations and no-shows</div>
+                      <table className="usage-table">
+                        <thead>
+                          <tr><th>Room</th><th>Capacity</th><th>Avg invited</th><th>Avg attending</th><th>Listed cancelled</th><th>Your no-shows</th></tr>
+                        </thead>
+                        <tbody>
+                          {withData.map(r => (
+                            <tr key={r.room.id}>
+                              <td>{r.room.name}</td>
+                              <td>{r.room.capacity || "—"}</td>
+                              <td>{r.avgInvited.toFixed(1)}</td>
+                              <td className={r.room.capacity && r.avgAttending > r.room.capacity ? "usage-over" : ""}>
+                                {r.avgAttending.toFixed(1)}{r.room.capacity > 0 && <span> · {percent(r.avgAttending, r.room.capacity)}% full</span>}
+                              </td>
+                              <td>{r.cancelRate}% <span>({r.cancellations})</span></td>
+                              <td>{r.noShows}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </>
+                  )}
+
+                  {report.bookers.length > 0 && (
+                    <>
+                      <div className="usage-section">Top bookers</div>
+                      {report.bookers.map(b => (
+                        <div key={b.email || b.name} className="usage-row">
+                          <span className="usage-name" title={b.email}>{b.name}</span>
+                          <span className="usage-track"><span className="usage-fill" style={{ width: `${percent(b.bookings, topCount)}%` }} /></span>
+                          <span className="usage-val">{b.bookings} · {Math.round(b.minutes / 60)} h</span>
+                        </div>
+                      ))}
+                    </>
+                  )}
+
+                  <p className="usage-note">
+                    Occupancy counts booked time within opening hours. Listed cancelled counts only the cancelled
+                    meetings a room calendar still lists — most rooms drop them, so it's a floor, not a cancellation rate.
+                    Your no-shows are bookings this device released because nobody checked in — room calendars don't
+                    record no-shows, so there is no org-wide rate.
+                  </p>
+                </>
+              )}
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* ══ MY BOOKINGS ══ */}
+      {myPanel && (() => {
+        const byDate = {};
+        myPanel.items.forEach(b => { (byDate[b.date] ||= []).push(b); });
+        const n = myPanel.selected.length;
+        return (
+          <div className="overlay overlay-side" onClick={() => setMyPanel(null)}>
+            <aside className="side-panel" onClick={e => e.stopPropagation()}>
+              <div className="modal-head">
+                <div>
+                  <div className="modal-title">My Bookings</div>
+                  <div className="modal-sub">Rooms you&apos;ve booked, on every date</div>
+                </div>
+                <button className="close-btn" onClick={() => setMyPanel(null)}>✕</button>
+              </div>
+              <div className="mine-bar">
+                <select className="field-inp" value={myPanel.weeks} onChange={e => loadMyBookings(+e.target.value)}>
+                  {MY_BOOKINGS_WEEKS.map(w => <option key={w} value={w}>Next {w} weeks</option>)}
+                </select>
+                <button className="btn btn-ghost btn-sm" title="Refresh" disabled={myPanel.status === "loading"}
+                  onClick={() => loadMyBookings(myPanel.weeks)}>↻</button>
+              </div>
+
+              <div className="mine-list">
+                {myPanel.status === "loading" && !myPanel.items.length && (
+                  <div className="finder-empty"><span className="spin-sm" />Loading your bookings…</div>
+                )}
+                {myPanel.status === "error" && (
+                  <div className="finder-empty">Couldn&apos;t load your bookings — check your connection and try again.</div>
+                )}
+                {myPanel.status === "done" && !myPanel.items.length && (
+                  <div className="finder-empty">No room bookings in the next {myPanel.weeks} weeks.</div>
+                )}
+                {Object.entries(byDate).map(([date, items]) => (
+                  <div key={date} className="mine-day">
+                    <label className="mine-date">
+                      <input type="checkbox" checked={items.every(b => myPanel.selected.includes(b.id))}
+                        onChange={e => toggleMine(items.map(b => b.id), e.target.checked)} />
+                      {formatDate(date)}
+                    </label>
+                    {items.map(b => {
+                      const room   = rooms.find(r => r.id === b.roomId);
+                      const status = approvalOf(room, b) === "pending" ? ["hold", "Awaiting approval"]
+                        : b.roomStatus === "declined" ? ["declined", "Declined"]
+                        : b.roomStatus === "pending" ? ["pending", "Awaiting room"]
+                        : b.roomStatus === "accepted" ? ["accepted", "Accepted"] : null;
+                      return (
+                        <div key={b.id} className="mine-row" style={{ borderLeftColor: room.color }}>
+                          <input type="checkbox" checked={myPanel.selected.includes(b.id)}
+                            onChange={e => toggleMine([b.id], e.target.checked)} />
+                          <button className="mine-main" title="Show on the grid" onClick={() => openFromPanel(b, "view")}>
+                            <span className="mine-room">
+                              {room.name} <span>· {b.allDay ? "All day" : `${timeLabel(b.startHour)} – ${timeLabel(b.endHour)}`}</span>
+                            </span>
+                            <span className="mine-title">{b.seriesMasterId && "🔁 "}{b.title}</span>
+                          </button>
+                          {status && <span className={"mine-status mine-" + status[0]}>{status[1]}</span>}
+                          <button className="btn btn-ghost btn-sm" disabled={offline} onClick={() => openFromPanel(b, "edit")}>Edit</button>
+                          <button className="btn btn-ghost btn-sm" title="Cancel booking" disabled={offline}
+                            onClick={() => setMyPanel(p => ({ ...p, selected: [b.id], confirm: true }))}>✕</button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+
+              {n > 0 && (
+                <div className="mine-foot">
+                  {myPanel.confirm ? (
+                    <>
+                      <span>
+                        Cancel {n} booking{n > 1 ? "s" : ""}? Attendees get a cancellation
+                        {myPanel.items.some(b => b.seriesMasterId && myPanel.selected.includes(b.id)) && " — series lose only these occurrences"}.
+                      </span>
+                      <button className="btn btn-ghost btn-sm" onClick={() => setMyPanel(p => ({ ...p, confirm: false }))}>Keep</button>
+                      <button className="btn btn-danger btn-sm" disabled={isLoading || offline}
+                        onClick={() => cancelMine(myPanel.selected)}>{isLoading ? "Cancelling…" : "Yes, cancel"}</button>
+                    </>
+                  ) : (
+                    <>
+                      <span>{n} selected</span>
+                      <button className="btn btn-ghost btn-sm" onClick={() => setMyPanel(p => ({ ...p, selected: [] }))}>Clear</button>
+                      <button className="btn btn-danger btn-sm" disabled={offline}
+                        onClick={() => setMyPanel(p => ({ ...p, confirm: true }))}>Cancel selected</button>
+                    </>
+                  )}
+                </div>
+              )}
+            </aside>
+          </div>
+        );
+      })()}
+
+      {/* ══ APPROVAL REQUESTS ══ */}
+      {approvals?.open && (
+        <div className="overlay" onClick={() => setApprovals(a => ({ ...a, open: false }))}>
+          <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+            <div className="modal-head">
+              <div>
+                <div className="modal-title">Approval Requests</div>
+                <div className="modal-sub">Rooms you approve — requesters are emailed your decision</div>
+              </div>
+              <button className="close-btn" onClick={() => setApprovals(a => ({ ...a, open: false }))}>✕</button>
+            </div>
+            {approvals.status === "loading" && !approvals.items.length && (
+              <div className="finder-empty"><span className="spin-sm" />Loading requests…</div>
+            )}
+            {approvals.status === "error" && (
+              <div className="finder-empty">Couldn&apos;t load requests — check your connection and try again.</div>
+            )}
+            {approvals.status === "done" && !approvals.items.length && (
+              <div className="finder-empty">Nothing waiting for you.</div>
+            )}
+            {approvals.items.map(req => (
+              <div key={req.id} className="approval-item" style={{ borderLeft: `4px solid ${req.room.color}` }}>
+                <div className="approval-head">
+                  <span className="room-dot" style={{ background: req.room.color }} />
+                  {req.room.name} · {req.subject || "Meeting"}
+                </div>
+                <div className="approval-meta">
+                  {formatShortDate(req.date)} · {timeLabel(req.startHour)} – {timeLabel(req.endHour)}
+                  {" · "}{req.organizerName || req.organizerEmail}
+                  {` · ${req.headcount} ${req.headcount === 1 ? "person" : "people"}`}
+                </div>
+                <input className="field-inp" placeholder="Comment for the requester (required to reject)"
+                  value={approvals.comments[req.id] || ""}
+                  onChange={e => setApprovals(a => ({ ...a, comments: { ...a.comments, [req.id]: e.target.value } }))} />
+                <div className="approval-actions">
+                  <button className="btn btn-danger btn-sm" disabled={isLoading} onClick={() => answerRequest(req, false)}>Reject</button>
+                  <button className="btn btn-primary btn-sm" disabled={isLoading} onClick={() => answerRequest(req, true)}>Approve</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* ══ SETTINGS MODAL ══ */}
       {settingsOpen && (
         <div className="overlay" onClick={() => setSettingsOpen(false)}>
@@ -1166,17 +5152,18 @@ export default function App() {
                 availability — bookings made by anyone will be visible to everyone. Ask your IT admin to
                 create Exchange Room Mailboxes if not already set up.
               </p>
-              {ROOMS.map(room => (
+              {rooms.map(room => (
                 <div key={room.id} className="field" style={{ marginBottom: 14 }}>
                   <label className="field-lbl" style={{ display: "flex", alignItems: "center", gap: 6 }}>
                     <span className="room-dot" style={{ background: room.color, width: 8, height: 8, flexShrink: 0 }} />
                     {room.name} mailbox email
+                    {room.building && <span className="settings-room-meta">{roomLocation(room)}</span>}
                   </label>
                   <input
                     className="field-inp"
                     type="email"
                     placeholder={`e.g. ${room.name.toLowerCase()}@yourorg.com`}
-                    value={settingsForm.roomEmails?.[room.id] || ""}
+                    value={roomMailbox(room, settingsForm)}
                     onChange={e => setSettingsForm(s => ({
                       ...s, roomEmails: { ...s.roomEmails, [room.id]: e.target.value },
                     }))}
@@ -1195,6 +5182,22 @@ export default function App() {
               </div>
             </div>
 
+            <div className="settings-section">
+              <div className="settings-section-title">Time Zone</div>
+              <p className="settings-desc">
+                Bookings and opening hours are shown in this zone. Pick your own office&apos;s zone when
+                booking rooms in another one — each room still opens by its own local hours.
+              </p>
+              <select className="field-inp" value={settingsForm.timeZone || ""}
+                onChange={e => setSettingsForm(s => ({ ...s, timeZone: e.target.value }))}>
+                <option value="">This device — {zoneLabel(browserZone())}</option>
+                {[...new Set(rooms.map(r => r.timeZone))].map(tz => (
+                  <option key={`room-${tz}`} value={tz}>Rooms — {zoneLabel(tz)}</option>
+                ))}
+                {(Intl.supportedValuesOf?.("timeZone") || []).map(tz => <option key={tz} value={tz}>{tz.replace(/_/g, " ")}</option>)}
+              </select>
+            </div>
+
             <div className="modal-foot">
               <button className="btn btn-ghost" onClick={() => setSettingsOpen(false)}>Cancel</button>
               <button className="btn btn-primary" onClick={handleSaveSettings}>Save Settings</button>
@@ -1268,6 +5271,7 @@ const CSS = `
 .sync-badge.syncing { color: #F7B731; }
 .sync-badge.synced  { color: #6BCB8B; }
 .sync-badge.error   { color: #FFB3B3; }
+.sync-badge.offline { color: #BBBBBB; }
 .icon-btn {
   width: 34px; height: 34px; border-radius: 8px; border: 1.5px solid rgba(255,255,255,.25);
   background: transparent; color: #F7B731; font-size: 16px; cursor: pointer;
@@ -1308,7 +5312,37 @@ const CSS = `
 .chip-today  { background: #CC151518; color: #8B0000; }
 .chip-shared { background: #E3F2FD; color: #1565C0; }
 .chip-warn   { background: #FFF8E1; color: #9A6F00; }
+.chip-zone   { background: #F3E5F5; color: #6A1B9A; border: none; cursor: pointer; font-family: 'Open Sans', sans-serif; }
 .chip-free   { background: #EBEBEB; color: #888; }
+.chip-export { background: #F5F5F5; color: #555; border: none; cursor: pointer; font-family: 'Open Sans', sans-serif; }
+.chip-export:hover { background: #EBEBEB; }
+.chip-services { background: #FFF3E0; color: #A0521B; border: none; cursor: pointer; font-family: 'Open Sans', sans-serif; }
+.chip-services:hover { background: #FFE7CC; }
+
+/* ── Amenities ── */
+.amenity-bar {
+  padding: 7px 24px; display: flex; align-items: center; gap: 6px; flex-wrap: wrap;
+  border-bottom: 1px solid #EBEBEB; background: #FFFFFF;
+}
+.amenity-bar-lbl { font-size: 10px; color: #AAA; letter-spacing: .8px; text-transform: uppercase; font-weight: 700; margin-right: 2px; }
+.amenity-chip {
+  padding: 3px 10px; border-radius: 20px; border: 1.5px solid #E0E0E0; background: #FFFFFF;
+  font-family: 'Open Sans', sans-serif; font-size: 11px; font-weight: 600; color: #555; cursor: pointer;
+}
+.amenity-chip:hover { border-color: #CC151566; }
+.amenity-on { border-color: #CC1515; background: #CC151512; color: #8B0000; }
+.amenity-count { font-size: 11px; color: #888; margin-left: 6px; }
+.amenity-clear {
+  border: none; background: none; padding: 0 4px; font-family: 'Open Sans', sans-serif;
+  font-size: 11px; font-weight: 700; color: #CC1515; cursor: pointer;
+}
+.amenity-clear:hover { text-decoration: underline; }
+.amenity-empty { font-size: 13px; color: #888; padding: 10px 0; display: flex; align-items: center; gap: 8px; }
+.amenity-picks { display: flex; gap: 6px; flex-wrap: wrap; }
+.amenity-icon { font-size: 12px; line-height: 1; }
+.room-amenities { display: flex; gap: 5px; margin-bottom: 7px; }
+.col-amen { display: flex; gap: 4px; margin-top: 3px; }
+.finder-amen { display: inline-flex; gap: 3px; margin-left: 6px; vertical-align: middle; }
 
 /* ── Connect Banner ── */
 .connect-banner {
@@ -1318,6 +5352,98 @@ const CSS = `
 }
 .connect-banner > span { flex: 1; min-width: 200px; }
 
+/* ── Offline ── */
+.offline-banner {
+  display: flex; align-items: center; gap: 12px; padding: 10px 24px;
+  background: #F3F3F3; border-bottom: 1px solid #DDDDDD;
+  font-size: 13px; color: #555; flex-wrap: wrap;
+}
+.offline-banner > span:first-child { flex: 1; min-width: 200px; }
+.grid-stale .slot-booked, .grid-stale .slot-free { filter: grayscale(.6); opacity: .8; }
+
+/* ── Room responses ── */
+.decline-banner {
+  display: flex; align-items: center; gap: 10px; padding: 10px 24px;
+  background: #FDECEA; border-bottom: 1px solid #F5C6C0;
+  font-size: 13px; color: #8B1A1A; flex-wrap: wrap;
+}
+.decline-banner > span:first-child { flex: 1; min-width: 220px; }
+.booking-pending { border-style: dashed; }
+.booking-hold { background-image: repeating-linear-gradient(135deg, transparent 0 8px, rgba(255,255,255,.55) 8px 16px); }
+.status-hold { background: #EDE7F6; color: #5E35B1; }
+.approval-pending { color: #5E35B1; }
+.icon-btn-badge { position: relative; }
+.icon-badge {
+  position: absolute; top: -6px; right: -6px; min-width: 17px; height: 17px; border-radius: 9px; padding: 0 4px;
+  background: #F7B731; color: #231F20; font-size: 10px; font-weight: 800; display: flex; align-items: center; justify-content: center;
+}
+.overlay-side { justify-content: flex-end; align-items: stretch; padding: 0; }
+.side-panel {
+  background: #FFFFFF; width: 100%; max-width: 440px; height: 100%; padding: 24px 22px 0;
+  box-shadow: -12px 0 40px rgba(0,0,0,.2); display: flex; flex-direction: column; animation: slideIn .2s ease;
+}
+@keyframes slideIn { from { transform: translateX(30px); opacity: 0 } to { transform: translateX(0); opacity: 1 } }
+.mine-bar { display: flex; gap: 8px; margin-bottom: 14px; }
+.mine-bar .field-inp { flex: 1; }
+.mine-list { flex: 1; overflow-y: auto; margin: 0 -22px; padding: 0 22px 16px; }
+.mine-day { margin-bottom: 14px; }
+.mine-date {
+  display: flex; align-items: center; gap: 8px; font-family: 'Montserrat', sans-serif;
+  font-size: 12px; font-weight: 700; color: #231F20; margin-bottom: 6px; cursor: pointer;
+}
+.mine-row {
+  display: flex; align-items: center; gap: 8px; padding: 8px 10px; margin-bottom: 6px;
+  border: 1.5px solid #EBEBEB; border-left: 4px solid; border-radius: 10px;
+}
+.mine-main {
+  flex: 1; min-width: 0; display: flex; flex-direction: column; align-items: flex-start;
+  background: none; border: none; padding: 0; cursor: pointer; text-align: left; font: inherit;
+}
+.mine-room { font-family: 'Montserrat', sans-serif; font-size: 13px; font-weight: 700; color: #231F20; }
+.mine-room span { font-family: 'Open Sans', sans-serif; font-weight: 600; color: #999; font-size: 11px; }
+.mine-title { font-size: 12px; color: #777; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.mine-status { font-size: 10px; font-weight: 700; padding: 2px 8px; border-radius: 20px; white-space: nowrap; }
+.mine-accepted { background: #E8F5E9; color: #2E7D32; }
+.mine-pending  { background: #FFF8E1; color: #9A6F00; }
+.mine-declined { background: #FDECEA; color: #C62828; }
+.mine-hold     { background: #EDE7F6; color: #5E35B1; }
+.mine-foot {
+  display: flex; align-items: center; gap: 8px; flex-wrap: wrap; padding: 12px 0 16px;
+  border-top: 1px solid #EBEBEB; font-size: 12px; color: #555;
+}
+.mine-foot span { flex: 1; min-width: 140px; }
+.modal-xl { max-width: 860px; }
+.usage-bar { display: flex; align-items: center; gap: 8px; flex-wrap: wrap; margin-bottom: 8px; font-size: 12px; color: #777; }
+.usage-bar .field-inp { width: auto; padding: 6px 10px; }
+.usage-section {
+  font-family: 'Montserrat', sans-serif; font-size: 11px; font-weight: 700; color: #999;
+  text-transform: uppercase; letter-spacing: .6px; margin: 18px 0 8px;
+}
+.usage-row { display: flex; align-items: center; gap: 10px; margin-bottom: 6px; font-size: 12px; }
+.usage-name { display: flex; align-items: center; gap: 6px; width: 150px; flex-shrink: 0; font-weight: 600; color: #231F20; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.usage-track { flex: 1; height: 10px; background: #F2F2F2; border-radius: 5px; overflow: hidden; }
+.usage-fill { display: block; height: 100%; background: #231F20; border-radius: 5px; }
+.usage-val { width: 170px; flex-shrink: 0; color: #777; text-align: right; }
+.usage-none { color: #AAA; font-style: italic; }
+.usage-heat-wrap { overflow-x: auto; }
+.usage-heat { border-collapse: separate; border-spacing: 2px; font-size: 10px; }
+.usage-heat th { font-weight: 600; color: #999; padding: 2px 4px; white-space: nowrap; }
+.usage-heat tbody th { text-align: right; color: #231F20; font-size: 11px; }
+.usage-heat td { min-width: 30px; height: 24px; text-align: center; border-radius: 4px; background: #FAFAFA; color: #231F20; }
+.usage-table { width: 100%; border-collapse: collapse; font-size: 12px; }
+.usage-table th { text-align: left; font-weight: 700; color: #999; padding: 6px 8px; border-bottom: 1.5px solid #EBEBEB; }
+.usage-table td { padding: 7px 8px; border-bottom: 1px solid #F2F2F2; color: #231F20; }
+.usage-table td span { color: #AAA; }
+.usage-table td.usage-over { color: #C62828; font-weight: 700; }
+.usage-note { font-size: 11px; color: #AAA; margin-top: 14px; }
+.approval-item { border: 1.5px solid #EBEBEB; border-radius: 10px; padding: 12px 14px; margin-bottom: 10px; }
+.approval-head { display: flex; align-items: center; gap: 8px; font-size: 13px; font-weight: 700; color: #231F20; }
+.approval-meta { font-size: 12px; color: #777; margin: 4px 0 8px; }
+.approval-actions { display: flex; gap: 8px; justify-content: flex-end; margin-top: 8px; }
+.status-tag { background: #FFF3CD; color: #9A6F00; border-radius: 10px; padding: 0 6px; font-size: 9px; font-weight: 700; text-transform: uppercase; }
+.room-status-accepted { color: #2E7D32; }
+.room-status-pending  { color: #9A6F00; }
+
 /* ── Room Cards ── */
 .room-cards {
   display: flex; gap: 12px; padding: 14px 24px 6px;
@@ -1339,7 +5465,24 @@ const CSS = `
 .room-status-badge.free { background: #E8F5E9; color: #2E7D32; }
 .room-card-cap { font-size: 10px; color: #AAA; letter-spacing: .8px; text-transform: uppercase; margin-bottom: 6px; font-weight: 600; }
 .room-now-info { font-size: 12px; color: #555; margin-bottom: 6px; }
+.join-btn {
+  margin-left: 6px; padding: 1px 8px; border-radius: 20px; background: #5B5FC7; color: #fff;
+  font-size: 11px; font-weight: 700; text-decoration: none; white-space: nowrap;
+}
+.join-btn:hover { background: #4B4FB0; }
 .room-card-chips { display: flex; gap: 6px; flex-wrap: wrap; }
+.checkin-line {
+  display: flex; align-items: center; justify-content: space-between; gap: 8px;
+  font-size: 11px; font-weight: 600; margin-bottom: 6px;
+}
+.checkin-btn {
+  border: none; border-radius: 5px; padding: 3px 9px; cursor: pointer;
+  background: #231F20; color: #fff; font-family: inherit; font-size: 11px; font-weight: 700;
+}
+.checkin-checked-in { color: #2E7D32; }
+.checkin-awaiting   { color: #9A6F00; }
+.checkin-missed     { color: #C62828; }
+.checkin-released   { color: #888; }
 
 /* ── Grid ── */
 .grid-wrap { padding: 8px 24px 40px; overflow-x: auto; background: #F7F7F7; }
@@ -1383,19 +5526,84 @@ const CSS = `
 }
 .slot-plus { font-size: 14px; }
 .slot-book-text { font-size: 11px; font-weight: 700; letter-spacing: .6px; text-transform: uppercase; }
+.slot-closed {
+  background: repeating-linear-gradient(135deg, #F3F3F3 0 6px, #EAEAEA 6px 12px);
+  border: 1.5px solid #E4E4E4; opacity: .6; cursor: not-allowed;
+}
 .slot-past  { background: #F0F0F0; border: 1.5px dashed #DCDCDC; opacity: .45; cursor: default; }
-.slot-span  { border: 1px solid; border-top: none; min-height: 46px; }
+.slot-allday { border: 1px dashed; }
 .slot-booked {
   border: 1.5px solid; padding: 8px 10px; cursor: pointer;
   display: flex; flex-direction: column; justify-content: center; gap: 2px;
 }
 .slot-booked:hover { filter: brightness(.97); }
+.slot-booked { position: relative; }
+.cancel-btn {
+  position: absolute; top: 4px; right: 4px; background: none; border: none;
+  color: #BBBBBB; font-size: 11px; cursor: pointer; padding: 2px 5px; border-radius: 5px;
+  opacity: 0; transition: opacity .14s;
+}
+.slot-booked:hover .cancel-btn { opacity: 1; }
+.cancel-btn:hover { background: #FFFFFF; color: #C0392B; }
 
 .booking-name  { font-size: 12px; font-weight: 700; line-height: 1.3; }
 .booking-title { font-size: 11px; color: #777; margin-top: 1px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
 .booking-meta  { display: flex; align-items: center; gap: 4px; font-size: 10px; color: #AAA; margin-top: 2px; flex-wrap: wrap; }
+.allday-chip {
+  margin-top: 5px; max-width: 100%; border: none; border-radius: 10px; padding: 2px 8px; cursor: pointer;
+  font-family: 'Open Sans', sans-serif; font-size: 10px; font-weight: 700;
+  white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+}
+
+/* Timed bookings sit in a layer over the rows. bottom: -3px takes back the last
+   row's margin, which collapses out of .grid-body, so percentages line up with rows. */
+.booking-layer {
+  position: absolute; top: 0; bottom: -3px; left: 66px; right: 0;
+  display: flex; pointer-events: none; z-index: 2;
+}
+.booking-col     { flex: 1; position: relative; min-width: 0; }
+.booking-col-day { margin: 0 4px; }
+.booking-block   { position: absolute; min-height: 18px; overflow: hidden; pointer-events: auto; }
+.slot.booking-block { justify-content: flex-start; padding: 4px 8px; }
+.week-day-layer  { flex: 1; display: flex; gap: 2px; padding: 0 3px; min-width: 0; }
 .own-tag       { background: #0078D422; color: #0078D4; border-radius: 10px; padding: 0 6px; font-size: 9px; font-weight: 700; text-transform: uppercase; }
 
+/* ── Week view ── */
+.view-toggle { margin-left: auto; display: flex; align-items: center; gap: 4px; }
+.view-btn {
+  padding: 4px 12px; border-radius: 7px; border: 1.5px solid #DEDEDE; background: transparent;
+  font-family: 'Open Sans', sans-serif; font-size: 11px; font-weight: 700; color: #888; cursor: pointer;
+}
+.view-btn:hover { border-color: #CC1515; color: #CC1515; }
+.view-btn-on, .view-btn-on:hover { background: #CC1515; border-color: #CC1515; color: #FFFFFF; }
+.weekend-toggle { display: flex; align-items: center; gap: 5px; font-size: 11px; color: #888; font-weight: 600; margin-right: 6px; cursor: pointer; }
+.weekend-toggle input { accent-color: #CC1515; }
+.week-day { flex: 1; display: flex; flex-direction: column; align-items: stretch; padding: 0 3px; min-width: 0; }
+.week-day-name {
+  background: none; border: none; cursor: pointer; padding: 4px 0 6px;
+  font-family: 'Montserrat', sans-serif; font-size: 12px; font-weight: 700; color: #231F20;
+}
+.week-day-name:hover { color: #CC1515; }
+.week-today .week-day-name { color: #CC1515; }
+.week-day-rooms { display: flex; gap: 2px; }
+.week-room {
+  flex: 1; text-align: center; font-size: 9px; font-weight: 700; letter-spacing: .6px; text-transform: uppercase;
+  color: #999; border-bottom: 3px solid transparent; padding-bottom: 3px; overflow: hidden;
+}
+.week-day-cells { flex: 1; display: flex; gap: 2px; padding: 2px 3px; min-width: 0; }
+.week-today.week-day-cells, .week-today .week-day-rooms { background: #CC151508; }
+.week-cell { flex: 1; min-width: 0; min-height: 30px; border-radius: 4px; font-size: 10px; font-weight: 700; overflow: hidden; }
+.week-free {
+  background: #EFEFEF; border: 1px dashed #D5D5D5; color: transparent; cursor: pointer;
+  display: flex; align-items: center; justify-content: center;
+}
+.week-free:hover { border-color: var(--room-color); color: var(--room-color); background: color-mix(in srgb, var(--room-color) 12%, white); }
+.week-closed { background: repeating-linear-gradient(135deg, #F3F3F3 0 5px, #EAEAEA 5px 10px); opacity: .6; }
+.week-past   { background: #F0F0F0; border: 1px dashed #DCDCDC; opacity: .45; }
+.week-booked { border: 1px solid; border-left-width: 3px; padding: 3px 4px; cursor: pointer; white-space: nowrap; text-overflow: ellipsis; }
+.week-allday { border: 1px dashed; cursor: pointer; }
+.week-cell.booking-block { min-height: 14px; }
+
 /* ── Current time line ── */
 .time-line { position: absolute; left: 0; right: 0; pointer-events: none; display: flex; align-items: center; z-index: 5; }
 .time-line-dot { width: 10px; height: 10px; border-radius: 50%; background: #CC1515; flex-shrink: 0; margin-left: 60px; }
@@ -1413,6 +5621,7 @@ const CSS = `
   max-height: 90vh; overflow-y: auto;
 }
 .modal-sm  { max-width: 360px; }
+.modal-wide { max-width: 560px; }
 .modal-view { max-width: 400px; }
 @keyframes popIn { from { opacity:0; transform:scale(.94) translateY(10px) } to { opacity:1; transform:scale(1) translateY(0) } }
 
@@ -1445,6 +5654,39 @@ const CSS = `
 .field-inp:focus { border-color: #CC1515; box-shadow: 0 0 0 3px rgba(204,21,21,.12); background: #FFFFFF; }
 .field-disabled { background: #F5F5F5 !important; color: #AAAAAA !important; }
 .field-hint   { font-size: 11px; color: #BBBBBB; margin-top: 5px; }
+.online-toggle {
+  display: flex; align-items: flex-start; gap: 10px; padding: 10px 12px; margin-bottom: 14px;
+  border: 1.5px solid #EBEBEB; border-radius: 10px; cursor: pointer; font-size: 13px; color: #231F20;
+}
+.online-toggle input { margin-top: 3px; accent-color: #5B5FC7; }
+.online-toggle > span { display: flex; flex-direction: column; }
+.online-toggle .field-hint { margin-top: 2px; }
+.online-locked { cursor: default; background: #FAFAFA; }
+
+/* ── Services ── */
+.services-add { margin-bottom: 14px; }
+.services-box { padding: 12px; margin-bottom: 14px; border: 1.5px solid #F3D9BF; border-radius: 10px; background: #FFFAF4; }
+.services-box .field { margin-bottom: 10px; }
+.services-box textarea { resize: vertical; }
+.services-head { display: flex; align-items: center; justify-content: space-between; font-size: 13px; font-weight: 700; color: #A0521B; margin-bottom: 8px; }
+.services-remove {
+  border: none; background: none; padding: 0; font-family: 'Open Sans', sans-serif;
+  font-size: 11px; font-weight: 700; color: #999; cursor: pointer;
+}
+.services-remove:hover { color: #CC1515; }
+.services-items { display: flex; flex-direction: column; gap: 6px; margin-bottom: 10px; }
+.services-item { display: flex; align-items: center; justify-content: space-between; min-height: 32px; font-size: 13px; color: #231F20; }
+.services-item label { display: flex; align-items: center; gap: 7px; cursor: pointer; }
+.services-item input[type="checkbox"] { accent-color: #CC1515; }
+.services-count { display: flex; align-items: center; gap: 6px; font-size: 12px; color: #888; }
+.services-count .field-inp { width: 64px; padding: 5px 8px; }
+.services-notes { display: block; font-size: 12px; color: #777; white-space: pre-wrap; margin-top: 2px; }
+.services-list { display: flex; flex-direction: column; gap: 8px; max-height: 55vh; overflow-y: auto; }
+.services-row { border-left: 4px solid #EBEBEB; padding: 8px 12px; background: #FAFAFA; border-radius: 0 8px 8px 0; }
+.services-when { font-size: 11px; font-weight: 700; color: #888; letter-spacing: .4px; }
+.services-title { font-family: 'Montserrat', sans-serif; font-size: 13px; font-weight: 700; color: #231F20; margin: 2px 0; }
+.services-title span { font-family: 'Open Sans', sans-serif; font-weight: 600; color: #AAA; font-size: 11px; }
+.services-what { font-size: 12px; color: #A0521B; font-weight: 600; }
 
 /* ── Duration quick buttons ── */
 .dur-row { display: flex; gap: 6px; margin-bottom: 14px; }
@@ -1454,6 +5696,28 @@ const CSS = `
   color: #888; cursor: pointer; transition: all .14s;
 }
 .dur-btn:hover { border-color: #CC1515; color: #CC1515; background: #FFF0F0; }
+.dur-btn-on, .dur-btn-on:hover { border-color: #CC1515; background: #CC1515; color: #FFFFFF; }
+
+/* ── Recurrence ── */
+.rec-interval { display: flex; align-items: center; gap: 6px; font-size: 12px; color: #888; }
+.rec-interval .field-inp { width: 64px; }
+.rec-summary { background: #FAFAFA; border: 1.5px solid #EEEEEE; border-radius: 8px; padding: 10px 13px; margin-bottom: 14px; font-size: 12px; color: #555; font-weight: 600; }
+.rec-status { font-size: 11px; color: #AAA; margin-top: 5px; font-weight: 600; }
+.rec-ok  { color: #2E7D32; }
+.rec-bad { color: #C0392B; }
+.rec-conflicts { max-height: 140px; overflow-y: auto; }
+.rec-conflict { display: flex; justify-content: space-between; gap: 10px; font-size: 11px; color: #777; font-weight: 400; padding: 3px 0; border-bottom: 1px solid #F0F0F0; }
+.rec-conflict:last-child { border-bottom: none; }
+
+/* ── Cancel scope ── */
+.scope-list { display: flex; flex-direction: column; gap: 6px; margin-bottom: 18px; }
+.scope-opt {
+  display: flex; align-items: flex-start; gap: 10px; padding: 9px 12px; border-radius: 8px;
+  border: 1.5px solid #E8E8E8; cursor: pointer; font-size: 13px; color: #231F20;
+}
+.scope-opt input { margin-top: 3px; accent-color: #CC1515; }
+.scope-on { border-color: #CC1515; background: #FFF6F6; }
+.scope-hint { display: block; font-size: 11px; color: #AAA; font-weight: 400; }
 
 /* ── Attendees ── */
 .att-row { display: flex; gap: 8px; }
@@ -1492,6 +5756,83 @@ const CSS = `
 }
 .notice-info { background: #EBF5FB; color: #0078D4; }
 .notice-warn { background: #FFF8E1; color: #9A6F00; }
+.notice-error { background: #FDECEA; color: #B03A2E; }
+.cap-notice  { flex-direction: column; align-items: stretch; gap: 8px; margin-bottom: 14px; }
+.policy-notice { flex-direction: column; align-items: stretch; gap: 4px; margin-bottom: 14px; }
+.cap-suggest { display: flex; align-items: center; gap: 6px; flex-wrap: wrap; font-weight: 400; }
+.cap-room {
+  padding: 3px 10px; border-radius: 20px; border: 1.5px solid; background: #FFFFFF;
+  font-family: 'Open Sans', sans-serif; font-size: 11px; font-weight: 700; cursor: pointer;
+}
+.cap-room:hover { filter: brightness(.95); }
+
+/* ── Suggested times ── */
+.suggest-box { background: #F8F9FC; border: 1px solid #E6E9F2; border-radius: 8px; padding: 10px 12px; margin-bottom: 14px; }
+.suggest-head { display: flex; align-items: center; justify-content: space-between; gap: 10px; font-size: 12px; color: #555; }
+.suggest-empty { font-size: 12px; color: #888; margin-top: 8px; }
+.suggest-list { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 9px; }
+.suggest-slot {
+  display: inline-flex; align-items: center; gap: 6px; padding: 5px 9px; border-radius: 6px;
+  border: 1px solid #DDD; background: #fff; cursor: pointer; font-family: inherit; font-size: 12px; color: #231F20;
+}
+.suggest-slot:hover { border-color: #999; }
+.suggest-on { border-color: #231F20; box-shadow: 0 0 0 1px #231F20; }
+.suggest-time { font-weight: 600; }
+.suggest-conf { font-size: 10px; font-weight: 700; padding: 1px 6px; border-radius: 10px; }
+.suggest-conf.high { background: #E8F5E9; color: #2E7D32; }
+.suggest-conf.mid  { background: #FFF8E1; color: #9A6F00; }
+.suggest-conf.low  { background: #FDECEA; color: #C62828; }
+
+/* ── Kiosk display ── */
+.kiosk {
+  min-height: 100vh; display: flex; flex-direction: column; gap: 22px; padding: 32px 40px;
+  background: var(--room-light, #F7F7F7); font-family: 'Open Sans', sans-serif; color: #231F20;
+}
+.kiosk-missing { align-items: center; justify-content: center; font-size: 20px; color: #888; }
+.kiosk-head { display: flex; align-items: flex-start; justify-content: space-between; }
+.kiosk-name { font-family: 'Montserrat', sans-serif; font-size: 40px; font-weight: 800; color: var(--room-accent); }
+.kiosk-loc  { font-size: 15px; color: #777; margin-top: 2px; }
+.kiosk-clock { font-family: 'Montserrat', sans-serif; font-size: 32px; font-weight: 700; color: #555; }
+.kiosk-status { border-radius: 18px; padding: 32px 36px; color: #fff; }
+.kiosk-status.free { background: #2E7D32; }
+.kiosk-status.busy { background: #C62828; }
+.kiosk-state { font-family: 'Montserrat', sans-serif; font-size: 56px; font-weight: 800; line-height: 1.1; }
+.kiosk-sub   { font-size: 20px; margin-top: 8px; opacity: .9; }
+.kiosk-checkin {
+  margin-top: 20px; padding: 14px 26px; border: none; border-radius: 12px; cursor: pointer;
+  background: #fff; color: #231F20; font-family: inherit; font-size: 20px; font-weight: 700;
+}
+.kiosk-section { background: #fff; border-radius: 14px; padding: 18px 22px; }
+.kiosk-lbl { font-size: 12px; font-weight: 700; letter-spacing: 1px; text-transform: uppercase; color: #999; margin-bottom: 10px; }
+.kiosk-book { display: flex; gap: 12px; }
+.kiosk-book-btn {
+  flex: 1; padding: 20px 0; border: 2px solid var(--room-color); border-radius: 12px; cursor: pointer;
+  background: var(--room-light); color: var(--room-accent); font-family: inherit; font-size: 22px; font-weight: 700;
+}
+.kiosk-book-btn:disabled { opacity: .35; cursor: default; }
+.kiosk-next { display: flex; gap: 18px; padding: 8px 0; font-size: 18px; border-top: 1px solid #F0F0F0; }
+.kiosk-next:first-of-type { border-top: none; }
+.kiosk-next-time  { font-weight: 700; min-width: 190px; }
+.kiosk-next-title { color: #555; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.kiosk-empty { font-size: 16px; color: #AAA; }
+.kiosk-foot  { margin-top: auto; font-size: 13px; color: #999; text-align: right; }
+
+/* ── Room finder ── */
+.finder-go { width: 100%; justify-content: center; margin-bottom: 16px; }
+.finder-results { display: flex; flex-direction: column; gap: 6px; }
+.finder-empty { font-size: 13px; color: #888; text-align: center; padding: 14px 0; }
+.finder-row {
+  display: flex; align-items: center; gap: 10px; padding: 9px 12px; border-radius: 8px;
+  background: #FAFAFA; border: 1px solid #EEEEEE; border-left: 4px solid;
+}
+.finder-main { flex: 1; min-width: 0; }
+.finder-room { font-family: 'Montserrat', sans-serif; font-size: 13px; font-weight: 700; color: #231F20; }
+.finder-room span { font-family: 'Open Sans', sans-serif; font-weight: 600; color: #AAA; font-size: 11px; }
+.finder-when { font-size: 12px; color: #777; margin-top: 1px; }
+.finder-av { font-size: 10px; font-weight: 700; padding: 2px 8px; border-radius: 20px; white-space: nowrap; }
+.finder-av.free      { background: #E8F5E9; color: #2E7D32; }
+.finder-av.tentative { background: #FFF8E1; color: #9A6F00; }
+.finder-av.busy      { background: #FDECEA; color: #C62828; }
 
 /* ── Modal footer ── */
 .modal-foot {
@@ -1505,11 +5846,14 @@ const CSS = `
 .view-row:last-child { border-bottom: none; }
 .view-lbl  { font-size: 10px; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; color: #AAAAAA; width: 80px; flex-shrink: 0; padding-top: 1px; }
 .view-val  { font-size: 13px; color: #231F20; flex: 1; }
+.join-link { color: #5B5FC7; font-weight: 700; text-decoration: none; }
+.join-link:hover { text-decoration: underline; }
 
 /* ── Settings ── */
 .settings-section       { margin-bottom: 8px; }
 .settings-section-title { font-family: 'Montserrat', sans-serif; font-size: 16px; font-weight: 700; margin-bottom: 8px; color: #231F20; }
 .settings-desc { font-size: 13px; color: #777; line-height: 1.6; margin-bottom: 16px; }
+.settings-room-meta { margin-left: auto; font-weight: 600; letter-spacing: .4px; text-transform: none; color: #BBB; }
 .settings-tip  { background: #FFF8E1; border-radius: 8px; padding: 10px 14px; font-size: 12px; color: #9A6F00; margin-top: 4px; }
 
 /* ── Buttons ── */
@@ -1560,10 +5904,13 @@ const CSS = `
   .room-cards { padding: 10px 14px 4px; gap: 8px; }
   .sub-header { padding: 8px 14px; }
   .connect-banner { padding: 10px 14px; }
+  .offline-banner { padding: 9px 14px; }
+  .decline-banner { padding: 9px 14px; }
   .logo-title { font-size: 15px; }
   .header-nav { order: 3; width: 100%; justify-content: center; }
   .time-label { font-size: 10px; width: 52px; min-width: 52px; }
   .time-gutter { width: 52px; min-width: 52px; }
   .time-line-dot { margin-left: 44px; }
+  .booking-layer { left: 52px; }
 }
 `;
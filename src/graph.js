@@ -0,0 +1,163 @@
+// ─── Microsoft Graph Client ───────────────────────────────────────────────────
+// Every Graph call goes through gFetch / gBatch, which:
+//  • retry 429 / 503 (and 504 or a dropped connection on GETs) with backoff,
+//    waiting as long as Retry-After asks, up to MAX_RETRY_WAIT_MS;
+//  • re-acquire the token once on a 401;
+//  • return null for a response with no body (202 / 204);
+//  • throw GraphError with a `kind` the UI can turn into a sensible message.
+export const GRAPH_BASE = "https://graph.microsoft.com/v1.0";
+
+const MAX_RETRIES       = 3;
+const MAX_RETRY_WAIT_MS = 30_000;
+const BATCH_LIMIT       = 20; // Graph's cap on requests per $batch
+
+// kind → message shown to people; "failed" falls back to Graph's own message.
+const ERROR_MESSAGES = {
+  "throttled":     "Microsoft 365 is busy right now — please try again in a minute",
+  "forbidden":     "You don't have permission to do that in Outlook",
+  "not-found":     "That item no longer exists in Outlook",
+  "network":       "Can't reach Microsoft 365 — check your connection",
+  "auth-required": "Your Microsoft sign-in has expired — please sign in again",
+};
+
+// kind: "throttled" | "forbidden" | "not-found" | "network" | "auth-required" | "failed"
+export class GraphError extends Error {
+  constructor(kind, { status = 0, code = "", detail = "", retryAfter = 0, cause } = {}) {
+    super(ERROR_MESSAGES[kind] || detail || `Microsoft Graph request failed (${status})`, { cause });
+    this.name       = "GraphError";
+    this.kind       = kind;
+    this.status     = status;
+    this.code       = code;       // Graph error code, e.g. "ErrorItemNotFound"
+    this.detail     = detail;     // Graph's own message, for the console
+    this.retryAfter = retryAfter; // ms the service asked us to wait, when throttled
+  }
+}
+
+const KIND_BY_STATUS = { 401: "auth-required", 403: "forbidden", 404: "not-found", 429: "throttled", 503: "throttled" };
+
+// Build a GraphError from a status and a response body (parsed JSON or raw text).
+export function toGraphError(status, body, retryAfter = 0) {
+  let parsed = body;
+  if (typeof body === "string") { try { parsed = JSON.parse(body); } catch { parsed = null; } }
+  return new GraphError(KIND_BY_STATUS[status] || "failed", {
+    status, retryAfter,
+    code:   parsed?.error?.code || "",
+    detail: parsed?.error?.message || (typeof body === "string" ? body.slice(0, 200) : ""),
+  });
+}
+
+// Returns a token, or null while an interactive redirect is under way.
+let _getToken = async () => null;
+export function configureGraph({ getToken }) {
+  _getToken = getToken;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Retry-After is seconds or an HTTP date; without one, back off 1s, 2s, 4s (+ jitter).
+function retryDelay(retryAfter, attempt) {
+  if (retryAfter) {
+    const secs = Number(retryAfter);
+    const ms   = Number.isFinite(secs) ? secs * 1000 : new Date(retryAfter).getTime() - Date.now();
+    if (ms >= 0) return ms;
+  }
+  return 1000 * 2 ** attempt + Math.random() * 250;
+}
+
+function isRetryable(status, idempotent) {
+  return status === 429 || status === 503 || (status === 504 && idempotent);
+}
+
+// MSAL and Teams failures that mean "no connection" rather than "sign in again".
+function isNetworkAuthError(e) {
+  return !navigator.onLine || /network|connectivity|request_failed|timed_out/i.test(`${e?.errorCode || ""} ${e?.message || ""}`);
+}
+
+async function acquireToken(forceRefresh) {
+  let token;
+  try {
+    token = await _getToken({ forceRefresh });
+  } catch (e) {
+    throw new GraphError(isNetworkAuthError(e) ? "network" : "auth-required", { detail: e?.message, cause: e });
+  }
+  if (!token) throw new GraphError("auth-required");
+  return token;
+}
+
+// `path` is relative to GRAPH_BASE, or an absolute nextLink / deltaLink from Graph.
+// opts.token skips the token provider (for calls made with other scopes).
+export async function gFetch(path, opts = {}) {
+  const { token: fixedToken, ...init } = opts;
+  const url        = path.startsWith("https://") ? path : `${GRAPH_BASE}${path}`;
+  const idempotent = !init.method || init.method === "GET";
+  let forceRefresh = false;
+  let reauthed     = false;
+
+  for (let attempt = 0; ; attempt++) {
+    const token = fixedToken || await acquireToken(forceRefresh);
+    forceRefresh = false;
+
+    let res;
+    try {
+      res = await fetch(url, {
+        ...init,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+          ...(init.headers || {}),
+        },
+      });
+    } catch (e) {
+      if (idempotent && attempt < MAX_RETRIES && navigator.onLine) { await sleep(retryDelay(null, attempt)); continue; }
+      throw new GraphError("network", { detail: e?.message, cause: e });
+    }
+
+    if (res.status === 401 && !reauthed && !fixedToken) {
+      reauthed = forceRefresh = true;
+      continue;
+    }
+    if (isRetryable(res.status, idempotent)) {
+      const wait = retryDelay(res.headers.get("Retry-After"), attempt);
+      if (attempt < MAX_RETRIES && wait <= MAX_RETRY_WAIT_MS) { await sleep(wait); continue; }
+      throw toGraphError(res.status, await res.text(), wait);
+    }
+    if (!res.ok) throw toGraphError(res.status, await res.text());
+    // 202 (sendMail, accept, decline) and 204 come back with no body.
+    const text = await res.text();
+    if (!text) return null;
+    try { return JSON.parse(text); }
+    catch (e) { throw new GraphError("failed", { status: res.status, detail: "Microsoft Graph sent a response that isn't JSON", cause: e }); }
+  }
+}
+
+// GET several Graph URLs through JSON $batch, BATCH_LIMIT at a time. Throttled
+// sub-requests are retried on their own, after the longest Retry-After among them.
+// requests: [{ id, url, headers }] → { id: { status, body } }
+export async function gBatch(requests) {
+  const out = {};
+  let pending = requests;
+  for (let attempt = 0; pending.length; attempt++) {
+    const retry = [];
+    let wait = 0;
+    for (let i = 0; i < pending.length; i += BATCH_LIMIT) {
+      const chunk = pending.slice(i, i + BATCH_LIMIT);
+      const data  = await gFetch("/$batch", {
+        method: "POST",
+        body: JSON.stringify({
+          requests: chunk.map(({ id, url, headers }) => ({ id, method: "GET", url: url.replace(GRAPH_BASE, ""), headers })),
+        }),
+      });
+      (data?.responses || []).forEach(r => {
+        out[r.id] = { status: r.status, body: r.body };
+        if (isRetryable(r.status, true) && attempt < MAX_RETRIES) {
+          retry.push(chunk.find(q => q.id === r.id));
+          wait = Math.max(wait, retryDelay(r.headers?.["Retry-After"], attempt));
+        }
+      });
+    }
+    if (!retry.length || wait > MAX_RETRY_WAIT_MS) break;
+    await sleep(wait);
+    pending = retry;
+  }
+  return out;
+}